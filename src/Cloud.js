@@ -18,7 +18,7 @@ import ParsePromise from './ParsePromise';
 import * as Store from './ReduxStore';
 import { FunctionActions as Actions } from './ReduxActionCreators';
 
-import CacheHelper, { getItemState } from './ReduxCacheHelper';
+import CacheHelper, { fromRefs, getItemState } from './ReduxCacheHelper';
 var cacheHelper = new CacheHelper({Actions, namespace: "Cloud"});
 
 /**
@@ -41,7 +41,8 @@ var cacheHelper = new CacheHelper({Actions, namespace: "Cloud"});
   * options.success, if set, should be a function to handle a successful
   * call to a cloud function.  options.error should be a function that
   * handles an error running the cloud function.  Both functions are
-  * optional.  Both functions take a single argument.
+  * optional.  Both functions take a single argument. If options.dedupe is
+  * true, the call shares one request with identical calls already in flight.
   * @return {Parse.Promise} A promise that will be resolved with the result
   * of the function.
   */
@@ -63,6 +64,9 @@ export var run = function(
   if (options.sessionToken) {
     requestOptions.sessionToken = options.sessionToken;
   }
+  if (options.hasOwnProperty('dedupe')) {
+    requestOptions.dedupe = options.dedupe;
+  }
 
   return (
     CoreManager.getCloudController().run(name, data, requestOptions)._thenRunCallbacks(options)
@@ -76,7 +80,7 @@ run.refresh = function(name, data, grouping, limit, options) {
 
 run.init = function(name, data, grouping, limit, options) {
 	var cb = run.bind(null, name, data, options);
-	return cacheHelper.init(cb, {name, data, grouping, limit});
+	return cacheHelper.init(cb, {name, data, grouping, limit}, options);
 }
 
 run.get = function(name, data, grouping) {
@@ -106,9 +110,9 @@ run.prepend = function(
 }
 
 run.getState = function(name, data, grouping) {
-	var state = getItemState(Store.getState().Parse.Cloud, {name, data, grouping});
+	var state = getItemState(Store.getParseState().Cloud, {name, data, grouping});
 	if (Object.keys(state).length)
-		return state;
+		return 'cache' in state ? {...state, cache: fromRefs(state.cache)} : state;
 }
 
 var DefaultController = {
@@ -124,6 +128,9 @@ var DefaultController = {
     if (options.hasOwnProperty('sessionToken')) {
       requestOptions.sessionToken = options.sessionToken;
     }
+    if (options.hasOwnProperty('dedupe')) {
+      requestOptions.dedupe = options.dedupe;
+    }
 
     var request = RESTController.request(
       'POST',
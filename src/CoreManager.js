@@ -73,6 +73,14 @@ type StorageController = {
   setItemAsync: (path: string, value: string) => ParsePromise;
   removeItemAsync: (path: string) => ParsePromise;
 };
+type WebSocketController = Class<{
+  onopen: ?() => void;
+  onmessage: ?(event: { data: string }) => void;
+  onclose: ?() => void;
+  onerror: ?(error: mixed) => void;
+  send: (data: string) => void;
+  close: () => void;
+}>;
 type UserController = {
   setCurrentUser: (user: ParseUser) => ParsePromise;
   currentUser: () => ?ParseUser;
@@ -92,6 +100,10 @@ var config: { [key: string]: mixed } = {
             !!process.versions &&
             !!process.versions.node),
   REQUEST_ATTEMPT_LIMIT: 5,
+  REQUEST_TRANSPORT: 'xhr',
+  REQUEST_AUTH_MODE: 'body',
+  REQUEST_INTERCEPTORS: [],
+  RESPONSE_INTERCEPTORS: [],
   SERVER_URL: 'https://api.parse.com/1',
   VERSION: 'js' + require('../package.json').version,
   APPLICATION_ID: null,
@@ -99,7 +111,13 @@ var config: { [key: string]: mixed } = {
   MASTER_KEY: null,
   USE_MASTER_KEY: false,
   PERFORM_USER_REWRITE: true,
-  FORCE_REVOCABLE_SESSION: false
+  FORCE_REVOCABLE_SESSION: false,
+  SYNC_QUERY_CACHES: false,
+  CACHE_MAX_AGE: null,
+  CACHE_STALE_WHILE_REVALIDATE: false,
+  EVENTUALLY_RETRY_INTERVAL: 30000,
+  LIVEQUERY_SERVER_URL: null,
+  HISTORY_LIMIT: 0
 };
 
 module.exports = {
@@ -342,5 +360,16 @@ module.exports = {
 
   getUserController(): UserController {
     return config['UserController'];
+  },
+
+  setWebSocketController(controller: WebSocketController) {
+    if (typeof controller !== 'function') {
+      throw new Error('A WebSocketController must be a constructor');
+    }
+    config['WebSocketController'] = controller;
+  },
+
+  getWebSocketController(): WebSocketController {
+    return config['WebSocketController'];
   }
 }
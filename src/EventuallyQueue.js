@@ -0,0 +1,433 @@
+/**
+ * Copyright (c) 2015-present, Parse, LLC.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ */
+
+import CoreManager from './CoreManager';
+import * as ObjectState from './ObjectState';
+import ParseError from './ParseError';
+import ParseObject from './ParseObject';
+import ParsePromise from './ParsePromise';
+import Storage from './Storage';
+import TaskQueue from './TaskQueue';
+import unsavedChildren from './unsavedChildren';
+
+import * as Store from './ReduxStore';
+import { EventuallyActions, QueryActions } from './ReduxActionCreators';
+import { getErrorState, toSyncRow } from './ReduxCacheHelper';
+
+import type { AttributeMap } from './ObjectState';
+import type { RequestOptions } from './RESTController';
+
+export type QueueEntry = {
+  uuid: string;
+  action: string;
+  className: string;
+  id: ?string;
+  localId: ?string;
+  body?: AttributeMap;
+  options: RequestOptions;
+  createdAt: string;
+};
+
+type LiveEntry = {
+  object: ParseObject;
+  action: string;
+  started: ParsePromise;
+  done: ParsePromise;
+  replaying: boolean;
+};
+
+var STORAGE_PATH = 'eventuallyQueue';
+
+// Local ids restart with every session, so they are qualified by a session
+// key before being stored
+var sessionKey = randomKey();
+
+// Objects queued in this session, by entry uuid. Their requests wait for
+// earlier tasks on the same object, and update the object when they return.
+var live: { [uuid: string]: LiveEntry } = {};
+
+// Reads and writes of the stored queue run one at a time
+var storageQueue = new TaskQueue();
+
+var processing: ?ParsePromise = null;
+var retryTimeout = null;
+var listening = false;
+
+function randomKey(): string {
+  return Math.random().toString(36).substr(2) + Date.now().toString(36);
+}
+
+function getPath(): string {
+  return Storage.generatePath(STORAGE_PATH);
+}
+
+function load(): ParsePromise {
+  return Storage.getItemAsync(getPath()).then((stored) => {
+    try {
+      var entries = JSON.parse(stored);
+      return Array.isArray(entries) ? entries : [];
+    } catch (e) {
+      return [];
+    }
+  });
+}
+
+function publish(entries: Array<QueueEntry>) {
+  Store.dispatch(EventuallyActions.setEntries({
+    entries: entries.map(({ uuid, action, className, id, localId, createdAt }) => {
+      return { uuid, action, className, id, localId, createdAt };
+    })
+  }));
+}
+
+/**
+ * Runs a change to the stored queue, after any other reads and writes.
+ */
+function update(change: (entries: Array<QueueEntry>) => ?Array<QueueEntry>): ParsePromise {
+  var result = new ParsePromise();
+  storageQueue.enqueue(() => {
+    return load().then((entries) => {
+      var next = change(entries);
+      if (!next) {
+        return entries;
+      }
+      return Storage.setItemAsync(getPath(), JSON.stringify(next)).then(() => {
+        publish(next);
+        return next;
+      });
+    }).then((entries) => {
+      result.resolve(entries);
+    }, (error) => {
+      result.reject(error);
+    });
+  });
+  return result;
+}
+
+function requestOptions(options?: RequestOptions): RequestOptions {
+  var filtered = {};
+  if (options && options.hasOwnProperty('useMasterKey')) {
+    filtered.useMasterKey = options.useMasterKey;
+  }
+  if (options && options.hasOwnProperty('sessionToken')) {
+    filtered.sessionToken = options.sessionToken;
+  }
+  return filtered;
+}
+
+function createEntry(action: string, object: ParseObject, options?: RequestOptions): QueueEntry {
+  return {
+    uuid: randomKey(),
+    action,
+    className: object.className,
+    id: object.id,
+    localId: object.id ? null : sessionKey + ':' + object._getId(),
+    options: requestOptions(options),
+    createdAt: new Date().toJSON()
+  };
+}
+
+/**
+ * Adds an entry to the stored queue. Its request is made once every entry
+ * before it has been replayed, and once the object's earlier saves have
+ * completed. Returns a promise fulfilled when the request succeeds.
+ */
+function enqueue(entry: QueueEntry, object: ParseObject): ParsePromise {
+  var started = new ParsePromise();
+  var done = new ParsePromise();
+  live[entry.uuid] = { object, action: entry.action, started, done, replaying: false };
+
+  ObjectState.enqueueTask(object.className, object._getStateIdentifier(), () => {
+    started.resolve();
+    return done;
+  });
+
+  return update((entries) => entries.concat(entry)).then(() => {
+    process();
+    return done;
+  });
+}
+
+function setStatus(object: ?ParseObject, status: string, value: boolean, error?: mixed) {
+  if (!object) {
+    return;
+  }
+  var time = value || error ? undefined : new Date();
+  var errorState = error ? getErrorState(error) : undefined;
+  ObjectState.setStatus(object.className, object._getStateIdentifier(), status, value, time, errorState);
+}
+
+function syncQueryCaches(className: string, object: ?ParseObject, id: ?string, destroyed?: boolean) {
+  if (!CoreManager.get('SYNC_QUERY_CACHES')) {
+    return;
+  }
+  if (destroyed) {
+    Store.dispatch(QueryActions.removeObject({ className, id }));
+  } else if (object) {
+    Store.dispatch(QueryActions.syncObject({ className, object: toSyncRow(object) }));
+  }
+}
+
+// Objects from earlier sessions are only updated if their state was restored
+// with its pending changes, by Parse.enablePersistence()
+function restoredObject(entry: QueueEntry): ?ParseObject {
+  var state = entry.id ? ObjectState.getState(entry.className, entry.id) : null;
+  if (!state || state.pendingOps.length < 2) {
+    return null;
+  }
+  try {
+    return ParseObject._fromState(entry.className, entry.id);
+  } catch (e) {
+    return null;
+  }
+}
+
+function replay(entry: QueueEntry): ParsePromise {
+  var record = live[entry.uuid];
+  var ready = record ? record.started : ParsePromise.as();
+  if (record) {
+    record.replaying = true;
+  }
+
+  return ready.then(() => {
+    var RESTController = CoreManager.getRESTController();
+    var object = record ? record.object : null;
+    var id = object ? object.id : entry.id;
+    var path = 'classes/' + entry.className;
+
+    if (entry.action === 'destroy') {
+      if (!id) {
+        // the object was never created
+        return ParsePromise.as();
+      }
+      setStatus(object, 'destroying', true);
+      return RESTController.request('DELETE', path + '/' + id, {}, entry.options).then(() => {
+        setStatus(object, 'destroying', false);
+        syncQueryCaches(entry.className, object, id, true);
+      }, (error) => {
+        setStatus(object, 'destroying', false, error);
+        return ParsePromise.error(error);
+      });
+    }
+
+    if (id) {
+      path += '/' + id;
+    } else if (entry.className === '_User') {
+      path = 'users';
+    }
+    if (!object) {
+      object = restoredObject(entry);
+    }
+    setStatus(object, 'saving', true);
+    return RESTController.request(
+      id ? 'PUT' : 'POST',
+      path,
+      entry.body,
+      entry.options
+    ).then((response, status) => {
+      if (object) {
+        object._handleSaveResponse(response, status);
+        setStatus(object, 'saving', false);
+        syncQueryCaches(entry.className, object);
+      }
+      return response.objectId || id;
+    }, (error) => {
+      setStatus(object, 'saving', false, error);
+      return ParsePromise.error(error);
+    });
+  });
+}
+
+// Gives up on an entry, merging its changes back into the object's unsaved
+// changes. Objects queued in this session must have reached the entry's task.
+function discard(entry: QueueEntry | { action: string }, record: ?LiveEntry, error: ParseError) {
+  var object = record ? record.object : restoredObject(entry);
+  if (object && entry.action === 'save') {
+    object._handleSaveError();
+  }
+  if (record) {
+    record.done.reject(error);
+  }
+}
+
+function scheduleRetry() {
+  var interval = CoreManager.get('EVENTUALLY_RETRY_INTERVAL');
+  if (retryTimeout !== null || typeof interval !== 'number') {
+    return;
+  }
+  retryTimeout = setTimeout(() => {
+    retryTimeout = null;
+    process();
+  }, interval);
+}
+
+function processNext(): ParsePromise {
+  return update(() => null).then((entries) => {
+    if (!entries.length) {
+      return false;
+    }
+    var entry = entries[0];
+    var record = live[entry.uuid];
+
+    return replay(entry).then((serverId) => {
+      delete live[entry.uuid];
+      return update((entries) => {
+        return entries.filter((e) => e.uuid !== entry.uuid).map((e) => {
+          // later changes to a created object are made with its new id
+          if (entry.localId && e.localId === entry.localId && serverId) {
+            return { ...e, id: serverId, localId: null };
+          }
+          return e;
+        });
+      }).then(() => {
+        if (record) {
+          record.done.resolve(record.object);
+        }
+        return true;
+      });
+    }, (error) => {
+      if (error && error.code === ParseError.CONNECTION_FAILED) {
+        // keep the entry until the connection returns
+        if (record) {
+          record.replaying = false;
+        }
+        Store.dispatch(EventuallyActions.setError({ error: getErrorState(error) }));
+        scheduleRetry();
+        return ParsePromise.as(false);
+      }
+
+      delete live[entry.uuid];
+      Store.dispatch(EventuallyActions.setError({ error: getErrorState(error) }));
+      return update((entries) => {
+        return entries.filter((e) => e.uuid !== entry.uuid);
+      }).then(() => {
+        discard(entry, record, error);
+        return true;
+      });
+    });
+  });
+}
+
+function listen() {
+  if (listening) {
+    return;
+  }
+  listening = true;
+  if (typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+    window.addEventListener('online', () => {
+      process();
+    });
+  }
+}
+
+/**
+ * Replays the stored queue in order, until it is empty or the connection
+ * fails. Returns a promise fulfilled when processing stops.
+ */
+export function process(): ParsePromise {
+  listen();
+  if (processing) {
+    return processing;
+  }
+  if (retryTimeout !== null) {
+    clearTimeout(retryTimeout);
+    retryTimeout = null;
+  }
+
+  Store.dispatch(EventuallyActions.setProcessing({ processing: true }));
+  var finished = false;
+  var finish = () => {
+    finished = true;
+    processing = null;
+    Store.dispatch(EventuallyActions.setProcessing({ processing: false }));
+  };
+  var more = true;
+  var run = ParsePromise._continueWhile(() => {
+    return more;
+  }, () => {
+    return processNext().then((next) => {
+      more = next;
+    });
+  }).then(finish, (error) => {
+    finish();
+    return ParsePromise.error(error);
+  });
+  // with synchronous storage, the queue may already have been processed
+  if (!finished) {
+    processing = run;
+  }
+  return run;
+}
+
+/**
+ * Queues the unsaved changes of an object, to be saved when the server can
+ * be reached.
+ */
+export function save(object: ParseObject, options?: RequestOptions): ParsePromise {
+  if (unsavedChildren(object).length) {
+    return ParsePromise.error(new ParseError(
+      ParseError.OTHER_CAUSE,
+      'Objects with unsaved children cannot be saved eventually.'
+    ));
+  }
+  var entry = createEntry('save', object, options);
+  var pending = object._getPendingOps();
+  entry.body = object._getSaveJSON(pending.length - 1);
+
+  // later changes go into a new pending state, like with save()
+  ObjectState.pushPendingState(object.className, object._getStateIdentifier());
+  return enqueue(entry, object);
+}
+
+/**
+ * Queues an object to be destroyed when the server can be reached.
+ */
+export function destroy(object: ParseObject, options?: RequestOptions): ParsePromise {
+  if (!object.id) {
+    var created = false;
+    for (var uuid in live) {
+      if (live[uuid].object === object) {
+        created = true;
+      }
+    }
+    if (!created) {
+      return ParsePromise.as(object);
+    }
+  }
+  return enqueue(createEntry('destroy', object, options), object);
+}
+
+/**
+ * Returns a promise fulfilled with the stored queue.
+ */
+export function getEntries(): ParsePromise {
+  return update(() => null);
+}
+
+/**
+ * Removes every entry from the stored queue. Objects queued in this session
+ * keep their unsaved changes, and their promises are rejected.
+ */
+export function clear(): ParsePromise {
+  return update(() => []).then(() => {
+    var error = new ParseError(ParseError.OTHER_CAUSE, 'The queue was cleared.');
+    Object.keys(live).forEach((uuid) => {
+      var record = live[uuid];
+      if (record.replaying) {
+        return;
+      }
+      delete live[uuid];
+      record.started.then(() => {
+        discard(record, record, error);
+      });
+    });
+  });
+}
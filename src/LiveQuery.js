@@ -0,0 +1,240 @@
+/**
+ * Copyright (c) 2015-present, Parse, LLC.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ */
+
+import CoreManager from './CoreManager';
+import ParseObject from './ParseObject';
+import ParsePromise from './ParsePromise';
+
+import * as Store from './ReduxStore';
+import { QueryActions } from './ReduxActionCreators';
+import { getErrorState, toSyncRow } from './ReduxCacheHelper';
+
+import type ParseQuery from './ParseQuery';
+import type { QueryJSON } from './ParseQuery';
+
+type Subscription = {
+  id: number;
+  className: string;
+  query: QueryJSON;
+  cacheOptions: { name: string; data: QueryJSON; grouping: ?string };
+};
+
+// Subscriptions, by the id of the request that subscribed them
+var subscriptions: { [id: number]: Subscription } = {};
+var requestId = 0;
+
+// All subscriptions share one socket, which is open while there are any
+var socket = null;
+var connected = false;
+var attempts = 0;
+var reconnectTimeout = null;
+
+function getServerURL(): string {
+  var url = CoreManager.get('LIVEQUERY_SERVER_URL');
+  if (url) {
+    return url;
+  }
+  // By default, the LiveQuery server shares the host of the REST API
+  return CoreManager.get('SERVER_URL').replace(/^http/, 'ws');
+}
+
+function getSessionToken(): ParsePromise {
+  var userController = CoreManager.getUserController();
+  if (!userController) {
+    return ParsePromise.as(null);
+  }
+  return userController.currentUserAsync().then((user) => {
+    return ParsePromise.as(user ? user.getSessionToken() : null);
+  });
+}
+
+function send(message: { [key: string]: mixed }) {
+  socket.send(JSON.stringify(message));
+}
+
+function sendSubscribe(subscription: Subscription) {
+  var query: { [key: string]: mixed } = {
+    className: subscription.className,
+    where: subscription.query.where
+  };
+  if (subscription.query.keys) {
+    query.fields = subscription.query.keys.split(',');
+  }
+  send({ op: 'subscribe', requestId: subscription.id, query: query });
+}
+
+// Events carry the whole object, which is merged into the Object slice
+function updateObject(subscription: Subscription, json): ParseObject {
+  return ParseObject.fromJSON({ ...json, className: subscription.className });
+}
+
+function handleMessage(message: { [key: string]: any }) {
+  if (message.op === 'connected') {
+    connected = true;
+    attempts = 0;
+    for (var id in subscriptions) {
+      sendSubscribe(subscriptions[id]);
+    }
+    return;
+  }
+
+  var subscription = subscriptions[message.requestId];
+  if (!subscription) {
+    return;
+  }
+  var options = subscription.cacheOptions;
+
+  switch (message.op) {
+    case 'create':
+    case 'enter':
+    case 'update':
+      var object = toSyncRow(updateObject(subscription, message.object));
+      Store.dispatch(QueryActions.syncResult({ ...options, object }));
+      break;
+    case 'leave':
+      // objects that left the query may still be shown elsewhere
+      updateObject(subscription, message.object);
+      Store.dispatch(QueryActions.removeResult({
+        ...options,
+        id: message.object.objectId
+      }));
+      break;
+    case 'delete':
+      Store.dispatch(QueryActions.removeResult({
+        ...options,
+        id: message.object.objectId
+      }));
+      break;
+    case 'error':
+      Store.dispatch(QueryActions.setError({
+        ...options,
+        error: getErrorState({ code: message.code, message: message.error })
+      }));
+      break;
+  }
+}
+
+function reconnect() {
+  if (!Object.keys(subscriptions).length) {
+    return;
+  }
+  // Exponentially-growing random delay, up to 30 seconds
+  var delay = Math.round(
+    Math.random() * Math.min(30, Math.pow(2, attempts) - 1) * 1000
+  );
+  attempts++;
+  reconnectTimeout = setTimeout(() => {
+    reconnectTimeout = null;
+    open();
+  }, delay);
+}
+
+function open() {
+  var WebSocketController = CoreManager.getWebSocketController();
+  var ws = socket = new WebSocketController(getServerURL());
+  ws.onopen = function() {
+    getSessionToken().then((token) => {
+      if (socket !== ws) {
+        return;
+      }
+      var message: { [key: string]: mixed } = {
+        op: 'connect',
+        applicationId: CoreManager.get('APPLICATION_ID'),
+        javascriptKey: CoreManager.get('JAVASCRIPT_KEY')
+      };
+      if (token) {
+        message.sessionToken = token;
+      }
+      send(message);
+    });
+  };
+  ws.onmessage = function(event) {
+    if (socket === ws) {
+      handleMessage(JSON.parse(event.data));
+    }
+  };
+  ws.onclose = function() {
+    if (socket === ws) {
+      socket = null;
+      connected = false;
+      reconnect();
+    }
+  };
+  // Errors are followed by onclose
+  ws.onerror = function() { };
+}
+
+function close() {
+  if (reconnectTimeout !== null) {
+    clearTimeout(reconnectTimeout);
+    reconnectTimeout = null;
+  }
+  if (socket) {
+    var ws = socket;
+    socket = null;
+    connected = false;
+    ws.close();
+  }
+  attempts = 0;
+}
+
+/**
+ * Subscribes to the objects matching a query, keeping the cached result of
+ * the query with the given grouping up to date. The connection is opened with
+ * the first subscription and closed with the last.
+ */
+export function subscribe(query: ParseQuery, grouping?: string) {
+  if (!CoreManager.getWebSocketController()) {
+    throw new Error(
+      'Cannot subscribe: No WebSocketController was set. Set one with ' +
+      'Parse.CoreManager.setWebSocketController().'
+    );
+  }
+
+  var json = query.toJSON();
+  var subscription = {
+    id: ++requestId,
+    className: query.className,
+    query: json,
+    cacheOptions: { name: query.className, data: json, grouping }
+  };
+  subscriptions[subscription.id] = subscription;
+
+  if (connected) {
+    sendSubscribe(subscription);
+  } else if (!socket && reconnectTimeout === null) {
+    open();
+  }
+
+  return {
+    unsubscribe() {
+      unsubscribe(subscription);
+    }
+  };
+}
+
+function unsubscribe(subscription: Subscription) {
+  if (!subscriptions[subscription.id]) {
+    return;
+  }
+  delete subscriptions[subscription.id];
+
+  if (connected) {
+    send({ op: 'unsubscribe', requestId: subscription.id });
+  }
+  if (!Object.keys(subscriptions).length) {
+    close();
+  }
+}
+
+if (typeof WebSocket !== 'undefined') {
+  CoreManager.setWebSocketController(WebSocket);
+}
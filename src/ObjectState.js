@@ -22,16 +22,34 @@ export type AttributeMap = { [attr: string]: any };
 export type OpsMap = { [attr: string]: Op };
 export type ObjectCache = { [attr: string]: string };
 
+export type ErrorState = {
+  code: number;
+  message: string;
+  timestamp: Date;
+};
+
+export type Status = {
+  saving: boolean;
+  fetching: boolean;
+  destroying: boolean;
+  savedAt?: Date;
+  fetchedAt?: Date;
+  destroyedAt?: Date;
+  error?: ErrorState;
+};
+
 type State = {
   serverData: AttributeMap;
   pendingOps: Array<OpsMap>;
   objectCache: ObjectCache;
   // tasks: TaskQueue;
-  existed: boolean
+  existed: boolean;
+  status?: Status;
+  conflicts?: Array<string>
 };
 
 export function getState(className: string, id: string): ?State {
-	var objectState = Store.getState().Parse.Object;
+	var objectState = Store.getParseState().Object;
   var classData = objectState[className];
   if (classData) {
     return classData[id] || null;
@@ -56,6 +74,9 @@ export function removeState(className: string, id: string): ?State {
   }
 
 	Store.dispatch(Actions.removeState({className, id}));
+  if (estimates[className]) {
+    delete estimates[className][id];
+  }
 	return state;
 }
 
@@ -135,13 +156,50 @@ export function estimateAttribute(className: string, id: string, attr: string):
 }
 
 export function estimateAttributes(className: string, id: string): AttributeMap {
+  return estimateStateAttributes(getState(className, id), className, id);
+}
+
+// The last estimate of each object, with the serverData and pendingOps it was
+// made from. The reducers replace both whenever they change, so the estimate
+// holds for as long as they are the same references.
+var estimates: {
+  [className: string]: {
+    [id: string]: { serverData: AttributeMap; pendingOps: Array<OpsMap>; attributes: AttributeMap }
+  }
+} = {};
+
+/**
+ * Estimates attributes from an object's state record, such as one read from
+ * a snapshot of the Redux state, rather than from the current store. The
+ * estimate is frozen, and the same object is returned until the record's
+ * server data or pending ops change.
+ */
+export function estimateStateAttributes(state: ?State, className: string, id: string): AttributeMap {
+  if (!state) {
+    return Object.freeze({});
+  }
+  var classEstimates = estimates[className] || (estimates[className] = {});
+  var last = classEstimates[id];
+  if (last && last.serverData === state.serverData && last.pendingOps === state.pendingOps) {
+    return last.attributes;
+  }
+  var attributes = Object.freeze(computeAttributes(state, className, id));
+  classEstimates[id] = {
+    serverData: state.serverData,
+    pendingOps: state.pendingOps,
+    attributes: attributes
+  };
+  return attributes;
+}
+
+function computeAttributes(state: State, className: string, id: string): AttributeMap {
   var data = {};
   var attr;
-  var serverData = getServerData(className, id);
+  var serverData = state.serverData;
   for (attr in serverData) {
     data[attr] = serverData[attr];
   }
-  var pending = getPendingOps(className, id);
+  var pending = state.pendingOps;
   for (var i = 0; i < pending.length; i++) {
     for (attr in pending[i]) {
       if (pending[i][attr] instanceof RelationOp) {
@@ -176,8 +234,42 @@ export function enqueueTask(className: string, id: string, task: () => ParseProm
 
 export function _clearAllState() {
 	Store.dispatch(Actions._clearAllState());
+  estimates = {};
 }
 
 export function _setExisted(className: string, id: string, existed: boolean) {
 	Store.dispatch(Actions._setExisted({className, id, existed}));
 }
+
+export function getStatus(className: string, id: string): Status {
+  var status = {
+    saving: false,
+    fetching: false,
+    destroying: false
+  };
+  var state = getState(className, id);
+  if (state && state.status) {
+    for (var key in state.status) {
+      status[key] = state.status[key];
+    }
+  }
+  return status;
+}
+
+export function setStatus(className: string, id: string, status: string, value: boolean, time?: Date, error?: ErrorState) {
+  initializeState(className, id);
+  Store.dispatch(Actions.setStatus({className, id, status, value, time, error}));
+}
+
+export function getConflicts(className: string, id: string): Array<string> {
+  var state = getState(className, id);
+  if (state && state.conflicts) {
+    return state.conflicts;
+  }
+  return [];
+}
+
+export function setConflicts(className: string, id: string, conflicts: Array<string>) {
+  initializeState(className, id);
+  Store.dispatch(Actions.setConflicts({className, id, conflicts}));
+}
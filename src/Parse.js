@@ -17,6 +17,9 @@ import RESTController from './RESTController';
 import * as Store from './ReduxStore';
 import { default as parseReducer, generateReducers} from './ReduxReducers'
 import { generateActions } from './ReduxActionCreators'
+import * as Persistence from './ReduxPersistence';
+import * as Selectors from './ReduxSelectors';
+import createMiddleware from './ReduxMiddleware';
 
 /**
  * Contains all Parse API classes and functions.
@@ -84,6 +87,14 @@ Object.defineProperty(Parse, 'serverURL', {
     CoreManager.set('SERVER_URL', value);
   }
 });
+Object.defineProperty(Parse, 'liveQueryServerURL', {
+  get() {
+    return CoreManager.get('LIVEQUERY_SERVER_URL');
+  },
+  set(value) {
+    CoreManager.set('LIVEQUERY_SERVER_URL', value);
+  }
+});
 /** End setters **/
 
 Parse.ACL = require('./ParseACL');
@@ -92,9 +103,11 @@ Parse.Cloud = require('./Cloud');
 Parse.CoreManager = require('./CoreManager');
 Parse.Config = require('./ParseConfig');
 Parse.Error = require('./ParseError');
+Parse.EventuallyQueue = require('./EventuallyQueue');
 Parse.FacebookUtils = require('./FacebookUtils');
 Parse.File = require('./ParseFile');
 Parse.GeoPoint = require('./ParseGeoPoint');
+Parse.History = require('./ParseHistory');
 Parse.Installation = require('./ParseInstallation');
 Parse.Object = require('./ParseObject');
 Parse.Op = {
@@ -121,6 +134,50 @@ Parse._request = function(...args) {
 Parse._ajax = function(...args) {
   return CoreManager.getRESTController().ajax.apply(null, args);
 };
+
+// Interceptors are kept in the config, and their lists are replaced rather
+// than modified, so requests in progress keep the interceptors they started
+// with
+function addInterceptor(key, interceptor) {
+  if (typeof interceptor !== 'function') {
+    throw new TypeError('An interceptor must be a function.');
+  }
+  CoreManager.set(key, CoreManager.get(key).concat([interceptor]));
+  return function() {
+    CoreManager.set(key, CoreManager.get(key).filter((i) => i !== interceptor));
+  };
+}
+
+/**
+ * Adds a function called with every REST request before it is sent, as
+ * <code>{method, path, payload, headers}</code>. It may modify the request,
+ * return a replacement, or return a Parse.Promise resolved with either.
+ * Interceptors are called in the order they were added.
+ * @method addRequestInterceptor
+ * @param {Function} interceptor
+ * @static
+ * @return {Function} A function that removes the interceptor.
+ */
+Parse.addRequestInterceptor = function(interceptor) {
+  return addInterceptor('REQUEST_INTERCEPTORS', interceptor);
+};
+
+/**
+ * Adds a function called with the response of every REST request, before it
+ * is handed back, as <code>{result, status}</code> or, when the request
+ * failed, <code>{error}</code>, along with the request. It may modify the
+ * response, return a replacement, or return a Parse.Promise resolved with
+ * either. Setting an error fails the request with it, and removing it
+ * resolves the request with the result.
+ * @method addResponseInterceptor
+ * @param {Function} interceptor
+ * @static
+ * @return {Function} A function that removes the interceptor.
+ */
+Parse.addResponseInterceptor = function(interceptor) {
+  return addInterceptor('RESPONSE_INTERCEPTORS', interceptor);
+};
+
 // We attempt to match the signatures of the legacy versions of these methods
 Parse._decode = function(_, value) {
   return decode(value);
@@ -136,13 +193,33 @@ Parse._getInstallationId = function() {
 Parse.setStore = function() {
 	Store.set(...arguments);
 }
+Parse.setCachePolicy = function({maxAge = null, staleWhileRevalidate = false} = {}) {
+	CoreManager.set('CACHE_MAX_AGE', maxAge);
+	CoreManager.set('CACHE_STALE_WHILE_REVALIDATE', staleWhileRevalidate);
+}
+Parse.enablePersistence = function(options) {
+	return Persistence.enable(options);
+}
+Parse.disablePersistence = function() {
+	Persistence.disable();
+}
+Parse.dehydrate = function() {
+	return Persistence.dehydrate();
+}
+Parse.hydrate = function(snapshot) {
+	Persistence.hydrate(snapshot);
+}
 Parse.getReducer = function() {
 	return parseReducer;
 }
+Parse.createMiddleware = function() {
+	return createMiddleware();
+}
 Parse.ReduxHelpers = {
 	generateActions,
 	generateReducers
 }
+Parse.Selectors = Selectors;
 
 CoreManager.setInstallationController(InstallationController);
 CoreManager.setRESTController(RESTController);
@@ -153,6 +230,36 @@ if (process.env.PARSE_BUILD === 'node') {
   Parse.Cloud.useMasterKey = function() {
     CoreManager.set('USE_MASTER_KEY', true);
   }
+
+  /**
+   * Creates a separate copy of the SDK, with its own configuration,
+   * controllers, objects, current user and store, for serving several users
+   * or apps from one process.
+   * @method createInstance
+   * @param {Object} options The applicationId, javaScriptKey, masterKey and
+   *     serverURL of the instance, and optionally the store (and selector)
+   *     that holds its state.
+   * @static
+   * @return {Object} The Parse module of the new instance.
+   */
+  Parse.createInstance = function({
+    applicationId,
+    javaScriptKey,
+    masterKey,
+    serverURL,
+    store,
+    selector
+  } = {}) {
+    var instance = require('./loadIsolated')();
+    if (store) {
+      instance.setStore(store, { selector });
+    }
+    instance.initialize(applicationId, javaScriptKey, masterKey);
+    if (serverURL) {
+      instance.serverURL = serverURL;
+    }
+    return instance;
+  }
 }
 
 // For legacy requires, of the form `var Parse = require('parse').Parse`
@@ -489,3 +489,11 @@ ParseError.FILE_READ_ERROR = 601;
  * @final
  */
 ParseError.X_DOMAIN_REQUEST = 602;
+
+/**
+ * Error code indicating that the request was aborted with abort().
+ * @property ABORTED
+ * @static
+ * @final
+ */
+ParseError.ABORTED = 603;
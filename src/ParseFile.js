@@ -10,6 +10,7 @@
  */
 
 import CoreManager from './CoreManager';
+import ParseError from './ParseError';
 import ParsePromise from './ParsePromise';
 
 type FileData = Array<number> | { base64: string } | File;
@@ -150,18 +151,22 @@ export default class ParseFile {
     options = options || {};
     var controller = CoreManager.getFileController();
     if (!this._previousSave) {
+      var saved = (res) => {
+        this._name = res.name;
+        this._url = res.url;
+        return this;
+      };
+      // aborted uploads can be saved again
+      var failed = (error) => {
+        if (error && error.code === ParseError.ABORTED) {
+          this._previousSave = null;
+        }
+        return ParsePromise.error(error);
+      };
       if (this._source.format === 'file') {
-        this._previousSave = controller.saveFile(this._name, this._source).then((res) => {
-          this._name = res.name;
-          this._url = res.url;
-          return this;
-        });
+        this._previousSave = controller.saveFile(this._name, this._source).then(saved, failed);
       } else {
-        this._previousSave = controller.saveBase64(this._name, this._source).then((res) => {
-          this._name = res.name;
-          this._url = res.url;
-          return this;
-        });
+        this._previousSave = controller.saveBase64(this._name, this._source).then(saved, failed);
       }
     }
     if (this._previousSave) {
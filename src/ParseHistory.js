@@ -0,0 +1,272 @@
+/**
+ * Copyright (c) 2015-present, Parse, LLC.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ */
+
+import arrayContainsObject from './arrayContainsObject';
+import CoreManager from './CoreManager';
+import * as ObjectState from './ObjectState';
+import ParseObject from './ParseObject';
+import {
+  AddOp,
+  AddUniqueOp,
+  IncrementOp,
+  RelationOp,
+  RemoveOp,
+  SetOp,
+  UnsetOp
+} from './ParseOp';
+
+import type { AttributeMap, OpsMap } from './ObjectState';
+import type { Op } from './ParseOp';
+
+// One call to set(): the ops it applied, the pending ops they were merged
+// with and the merged results, and the attributes' values before the call
+type Step = {
+  ops: OpsMap;
+  previous: OpsMap;
+  merged: OpsMap;
+  values: AttributeMap;
+};
+
+type Record = {
+  undo: Array<Step>;
+  redo: Array<Step>;
+};
+
+// Records, by class and state identifier. Like the task queues of objects,
+// they hold ops rather than state, so they are kept outside of the store.
+var records: { [className: string]: { [id: string]: Record } } = {};
+
+// Set while ops are applied by undo() or redo(), which manage the record
+// themselves
+var replaying = null;
+
+function getRecord(object: ParseObject, create?: boolean): ?Record {
+  var className = object.className;
+  var id = object._getStateIdentifier();
+  if (!records[className] || !records[className][id]) {
+    if (!create) {
+      return null;
+    }
+    records[className] = records[className] || {};
+    records[className][id] = { undo: [], redo: [] };
+  }
+  return records[className][id];
+}
+
+function contains(array: mixed, item: mixed): boolean {
+  if (!Array.isArray(array)) {
+    return false;
+  }
+  if (item instanceof ParseObject) {
+    return arrayContainsObject(array, item);
+  }
+  return array.indexOf(item) > -1;
+}
+
+function applyOps(object: ParseObject, ops: OpsMap): ?Step {
+  var step = null;
+  replaying = (applied) => {
+    step = applied;
+  };
+  try {
+    object.set(ops, { ignoreValidation: true });
+  } finally {
+    replaying = null;
+  }
+  return step;
+}
+
+/**
+ * Records the changes made to objects, so they can be undone and redone.
+ * Nothing is recorded until a limit is set with setLimit(), since records
+ * outlive the state of their objects. The last <code>HISTORY_LIMIT</code>
+ * changes are then kept for each object.
+ *
+ * @class Parse.History
+ * @static
+ */
+
+/**
+ * Records the ops applied by a call to set(). Called by ParseObject.
+ */
+export function record(object: ParseObject, step: Step) {
+  if (replaying) {
+    replaying(step);
+    return;
+  }
+  var limit = CoreManager.get('HISTORY_LIMIT');
+  if (!limit) {
+    return;
+  }
+  var history = getRecord(object, true);
+  history.undo.push(step);
+  if (history.undo.length > limit) {
+    history.undo.splice(0, history.undo.length - limit);
+  }
+  history.redo = [];
+}
+
+/**
+ * Returns an op that reverts the given op, once it has been saved, or null
+ * if the op had no effect. Increments are negated, added elements are
+ * removed, removed elements that were present are added back, and other
+ * ops set the attribute back to its previous value.
+ * @method inverse
+ * @param {Parse.Op} op The op to revert.
+ * @param {} previousValue The attribute's value before the op was applied.
+ * @return {Parse.Op}
+ */
+export function inverse(op: Op, previousValue: mixed): ?Op {
+  if (op instanceof IncrementOp) {
+    return new IncrementOp(-op._amount);
+  }
+  if (op instanceof AddOp) {
+    return new RemoveOp(op._value);
+  }
+  if (op instanceof AddUniqueOp) {
+    var added = op._value.filter((item) => !contains(previousValue, item));
+    return added.length ? new RemoveOp(added) : null;
+  }
+  if (op instanceof RemoveOp) {
+    var removed = op._value.filter((item) => contains(previousValue, item));
+    return removed.length ? new AddOp(removed) : null;
+  }
+  if (op instanceof RelationOp) {
+    var reverted = new RelationOp(op.relationsToRemove, op.relationsToAdd);
+    reverted._targetClassName = op._targetClassName;
+    return reverted;
+  }
+  if (typeof previousValue === 'undefined') {
+    return new UnsetOp();
+  }
+  return new SetOp(previousValue);
+}
+
+/**
+ * Returns whether the object has changes that can be undone.
+ * @method canUndo
+ * @param {Parse.Object} object
+ * @return {Boolean}
+ */
+export function canUndo(object: ParseObject): boolean {
+  var history = getRecord(object);
+  return !!history && history.undo.length > 0;
+}
+
+/**
+ * Returns whether the object has undone changes that can be redone.
+ * @method canRedo
+ * @param {Parse.Object} object
+ * @return {Boolean}
+ */
+export function canRedo(object: ParseObject): boolean {
+  var history = getRecord(object);
+  return !!history && history.redo.length > 0;
+}
+
+/**
+ * Undoes the last change made to an object with set() or one of the
+ * methods built on it. Changes that have not been saved are dropped from
+ * the object's pending ops. Changes that have been saved since are reverted
+ * with inverse ops, which are left unsaved to be saved back.
+ * @method undo
+ * @param {Parse.Object} object
+ * @return {Boolean} Whether there was a change to undo.
+ */
+export function undo(object: ParseObject): boolean {
+  var history = getRecord(object);
+  if (!history || !history.undo.length) {
+    return false;
+  }
+  var step = history.undo.pop();
+  var pendingOps = object._getPendingOps();
+  var last = pendingOps[pendingOps.length - 1];
+  var inverseOps = {};
+  for (var attr in step.ops) {
+    if (last[attr] === step.merged[attr]) {
+      ObjectState.setPendingOp(
+        object.className,
+        object._getStateIdentifier(),
+        attr,
+        step.previous[attr]
+      );
+    } else {
+      var op = inverse(step.ops[attr], step.values[attr]);
+      if (op) {
+        inverseOps[attr] = op;
+      }
+    }
+  }
+  if (Object.keys(inverseOps).length) {
+    applyOps(object, inverseOps);
+  }
+  history.redo.push(step);
+  return true;
+}
+
+/**
+ * Applies the last change undone on an object again.
+ * @method redo
+ * @param {Parse.Object} object
+ * @return {Boolean} Whether there was a change to redo.
+ */
+export function redo(object: ParseObject): boolean {
+  var history = getRecord(object);
+  if (!history || !history.redo.length) {
+    return false;
+  }
+  var step = applyOps(object, history.redo.pop().ops);
+  if (step) {
+    history.undo.push(step);
+  }
+  return true;
+}
+
+/**
+ * Forgets the recorded changes of an object, or of every object if none is
+ * given.
+ * @method clear
+ * @param {Parse.Object} object
+ */
+export function clear(object?: ParseObject) {
+  if (!object) {
+    records = {};
+    return;
+  }
+  if (records[object.className]) {
+    delete records[object.className][object._getStateIdentifier()];
+  }
+}
+
+/**
+ * Sets the number of changes recorded for each object. Older changes are
+ * forgotten. A limit of 0 stops recording and forgets every change.
+ * @method setLimit
+ * @param {Number} limit
+ */
+export function setLimit(limit: number) {
+  CoreManager.set('HISTORY_LIMIT', limit);
+  if (!limit) {
+    records = {};
+  }
+}
+
+/**
+ * Moves the record of an object whose state identifier changed, as when a
+ * new object is saved. Called by ParseObject.
+ */
+export function _migrate(className: string, fromId: string, toId: string) {
+  var classRecords = records[className];
+  if (classRecords && classRecords[fromId]) {
+    classRecords[toId] = classRecords[fromId];
+    delete classRecords[fromId];
+  }
+}
@@ -15,11 +15,13 @@ import decode from './decode';
 import encode from './encode';
 import equals from './equals';
 import escape from './escape';
+import * as EventuallyQueue from './EventuallyQueue';
 import * as ObjectState from './ObjectState';
 import ParseACL from './ParseACL';
 import parseDate from './parseDate';
 import ParseError from './ParseError';
 import ParseFile from './ParseFile';
+import * as ParseHistory from './ParseHistory';
 import {
   opFromJSON,
   Op,
@@ -37,7 +39,11 @@ import ParseRelation from './ParseRelation';
 import unique from './unique';
 import unsavedChildren from './unsavedChildren';
 
-import type { AttributeMap, OpsMap } from './ObjectState';
+import * as Store from './ReduxStore';
+import { ParseActions, QueryActions } from './ReduxActionCreators';
+import { getErrorState, toSyncRow } from './ReduxCacheHelper';
+
+import type { AttributeMap, OpsMap, Status } from './ObjectState';
 import type { RequestOptions, FullOptions } from './RESTController';
 
 export type Pointer = {
@@ -74,6 +80,75 @@ function getServerUrlPath() {
   return url.substr(url.indexOf('/'));
 }
 
+function startRequest(target: mixed, status: string) {
+  if (target instanceof ParseObject) {
+    ObjectState.setStatus(target.className, target._getStateIdentifier(), status, true);
+  }
+}
+
+// Updates cached query results after an object has been saved or destroyed
+function syncQueryCaches(target: mixed, destroyed?: boolean) {
+  if (!CoreManager.get('SYNC_QUERY_CACHES') || !(target instanceof ParseObject)) {
+    return;
+  }
+  if (destroyed) {
+    Store.dispatch(QueryActions.removeObject({className: target.className, id: target.id}));
+  } else {
+    Store.dispatch(QueryActions.syncObject({className: target.className, object: toSyncRow(target)}));
+  }
+}
+
+// Optimistic saves and destroys update cached query results before the
+// request is made: those with the given groupings, or all of the object's
+// class. Returns the results that changed, to roll them back on failure.
+function applyOptimistic(target: ParseObject, options: RequestOptions, destroyed?: boolean) {
+  var className = target.className;
+  var keys = options.groupings;
+  var before = Store.getParseState().Query[className] || {};
+  if (destroyed) {
+    Store.dispatch(QueryActions.removeObject({className, id: target.id, keys}));
+  } else {
+    Store.dispatch(QueryActions.syncObject({className, object: toSyncRow(target), keys}));
+  }
+  var after = Store.getParseState().Query[className] || {};
+
+  return (keys || Object.keys(after)).filter((key) => {
+    return after[key] && before[key] && after[key].cache !== before[key].cache;
+  }).map((key) => {
+    return {key, previous: before[key].cache, optimistic: after[key].cache};
+  });
+}
+
+function rollBack(target: ParseObject, entries: Array<mixed>, discardPending: boolean) {
+  Store.dispatch(ParseActions.rollback({
+    className: target.className,
+    id: target._getStateIdentifier(),
+    discardPending,
+    entries
+  }));
+}
+
+// Attributes are in conflict when their server value changes while they have
+// unsaved changes. Only dispatches when the conflicts change.
+function updateConflicts(target: ParseObject, conflicts: Array<string>) {
+  var stateId = target._getStateIdentifier();
+  var current = ObjectState.getConflicts(target.className, stateId);
+  var changed = current.length !== conflicts.length || conflicts.some((attr) => {
+    return current.indexOf(attr) < 0;
+  });
+  if (changed) {
+    ObjectState.setConflicts(target.className, stateId, conflicts);
+  }
+}
+
+function finishRequest(target: mixed, status: string, error?: mixed) {
+  if (target instanceof ParseObject) {
+    var time = error ? undefined : new Date();
+    var errorState = error ? getErrorState(error) : undefined;
+    ObjectState.setStatus(target.className, target._getStateIdentifier(), status, false, time, errorState);
+  }
+}
+
 /**
  * Creates a new model with defined attributes.
  *
@@ -139,10 +214,10 @@ export default class ParseObject {
 
   /** Prototype getters / setters **/
 
+  // The estimate is frozen, and kept until the object's state changes, so
+  // unchanged objects return the same attributes
   get attributes(): AttributeMap {
-    return Object.freeze(
-      ObjectState.estimateAttributes(this.className, this._getStateIdentifier())
-    );
+    return ObjectState.estimateAttributes(this.className, this._getStateIdentifier());
   }
 
   /**
@@ -246,6 +321,35 @@ export default class ParseObject {
     return dirty;
   }
 
+  /**
+   * Returns the server data, with attributes that were changed in place
+   * restored from the object cache
+   */
+  _getUnchangedServerData(): AttributeMap {
+    var serverData = this._getServerData();
+    var objectCache = ObjectState.getObjectCache(this.className, this._getStateIdentifier());
+    var dirtyObjects = this._getDirtyObjectAttributes();
+    var data = {};
+    var attr;
+    for (attr in serverData) {
+      data[attr] = serverData[attr];
+    }
+    for (attr in dirtyObjects) {
+      if (objectCache.hasOwnProperty(attr)) {
+        var json = JSON.parse(objectCache[attr]);
+        data[attr] = attr === 'ACL' ? new ParseACL(json) : decode(json);
+      }
+    }
+    return data;
+  }
+
+  _getConflicts(): Array<string> {
+    var dirty = this.dirtyKeys();
+    return ObjectState.getConflicts(this.className, this._getStateIdentifier()).filter((attr) => {
+      return dirty.indexOf(attr) > -1;
+    });
+  }
+
   _toFullJSON(seen): AttributeMap {
     var json: { [key: string]: mixed } = this.toJSON(seen);
     json.__type = 'Object';
@@ -253,16 +357,17 @@ export default class ParseObject {
     return json;
   }
 
-  _getSaveJSON(): AttributeMap {
+  _getSaveJSON(index?: number): AttributeMap {
     var pending = this._getPendingOps();
+    var ops = pending[index || 0];
     var dirtyObjects = this._getDirtyObjectAttributes();
     var json = {};
     var attr;
     for (attr in dirtyObjects) {
       json[attr] = new SetOp(dirtyObjects[attr]).toJSON();
     }
-    for (attr in pending[0]) {
-      json[attr] = pending[0][attr].toJSON();
+    for (attr in ops) {
+      json[attr] = ops[attr].toJSON();
     }
     return json;
   }
@@ -308,6 +413,24 @@ export default class ParseObject {
     if (!decoded.updatedAt && decoded.createdAt) {
       decoded.updatedAt = decoded.createdAt;
     }
+
+    // fetched values that differ from those the unsaved changes were made to.
+    // Most fetched objects have no unsaved ops, and are skipped.
+    var hasOps = this._getPendingOps().some((ops) => Object.keys(ops).length > 0);
+    if (hasOps) {
+      var conflicts = this._getConflicts();
+      var unchanged = this._getUnchangedServerData();
+      this.dirtyKeys().forEach((attr) => {
+        if (decoded.hasOwnProperty(attr) &&
+          conflicts.indexOf(attr) < 0 &&
+          !equals(decoded[attr], unchanged[attr])
+        ) {
+          conflicts.push(attr);
+        }
+      });
+      updateConflicts(this, conflicts);
+    }
+
     ObjectState.commitServerChanges(this.className, this._getStateIdentifier(), decoded);
   }
 
@@ -317,12 +440,14 @@ export default class ParseObject {
 
   _migrateId(serverId: string) {
     if (this._localId && serverId) {
-      var oldState = ObjectState.removeState(this.className, this._getStateIdentifier());
+      var localId = this._getStateIdentifier();
+      var oldState = ObjectState.removeState(this.className, localId);
       this.id = serverId;
       delete this._localId;
       if (oldState) {
         ObjectState.initializeState(this.className, this._getStateIdentifier(), oldState);
       }
+      ParseHistory._migrate(this.className, localId, this._getStateIdentifier());
     }
   }
 
@@ -330,6 +455,9 @@ export default class ParseObject {
     var changes = {};
     var attr;
     var pending = ObjectState.popPendingState(this.className, this._getStateIdentifier());
+    updateConflicts(this, this._getConflicts().filter((attr) => {
+      return !pending.hasOwnProperty(attr);
+    }));
     for (attr in pending) {
       if (pending[attr] instanceof RelationOp) {
         changes[attr] = pending[attr].applyTo(undefined, this, attr);
@@ -471,6 +599,91 @@ export default class ParseObject {
     return Object.keys(keys);
   }
 
+  /**
+   * Discards the unsaved changes to the given attributes, or to every
+   * attribute if none are given. Changes that are being saved are kept.
+   * Reverting forgets the object's undo history.
+   *
+   * @method revert
+   * @param {String} keys... The attributes to revert (optional).
+   * @return {Parse.Object} Returns the object, so you can chain this call.
+   */
+  revert(...keys: Array<string>): ParseObject {
+    keys.forEach((key) => {
+      if (typeof key !== 'string') {
+        throw new Error('Cannot revert a non-string key: ' + String(key));
+      }
+    });
+    var stateId = this._getStateIdentifier();
+    var pendingOps = this._getPendingOps();
+    var last = pendingOps[pendingOps.length - 1];
+    var dirtyObjects = this._getDirtyObjectAttributes();
+    var attrs = keys.length ? keys : Object.keys(last).concat(Object.keys(dirtyObjects));
+
+    var serverData = this._getServerData();
+    var unchanged = this._getUnchangedServerData();
+    var restored = {};
+    attrs.forEach((attr) => {
+      if (last.hasOwnProperty(attr)) {
+        ObjectState.setPendingOp(this.className, stateId, attr, null);
+      }
+      if (dirtyObjects.hasOwnProperty(attr) && unchanged[attr] !== serverData[attr]) {
+        restored[attr] = unchanged[attr];
+      }
+    });
+    if (Object.keys(restored).length) {
+      ObjectState.setServerData(this.className, stateId, restored);
+    }
+
+    updateConflicts(this, this._getConflicts());
+    ParseHistory.clear(this);
+    return this;
+  }
+
+  /**
+   * Returns the unsaved changes of the object, by attribute. Each change has
+   * the attribute's <code>server</code> value, its <code>local</code> value
+   * with the changes applied, the <code>op</code> that changes it (undefined
+   * for values changed in place), and whether it is in
+   * <code>conflict</code> (see hasConflicts).
+   *
+   * @method changes
+   * @return {Object}
+   */
+  changes(): { [attr: string]: { server: mixed; local: mixed; op: ?Op; conflict: boolean } } {
+    var server = this._getUnchangedServerData();
+    var attributes = this.attributes;
+    var conflicts = this._getConflicts();
+    var changes = {};
+    this.dirtyKeys().forEach((attr) => {
+      changes[attr] = {
+        server: server[attr],
+        local: attributes[attr],
+        op: this.op(attr),
+        conflict: conflicts.indexOf(attr) > -1
+      };
+    });
+    return changes;
+  }
+
+  /**
+   * Returns true if a fetch or query changed the server value of an
+   * attribute that also has unsaved changes, since the changes were made. If
+   * an attribute is specified, it returns true only if that attribute is in
+   * conflict. Saving or reverting an attribute resolves its conflict.
+   *
+   * @method hasConflicts
+   * @param {String} attr An attribute name (optional).
+   * @return {Boolean}
+   */
+  hasConflicts(attr?: string): boolean {
+    var conflicts = this._getConflicts();
+    if (attr) {
+      return conflicts.indexOf(attr) > -1;
+    }
+    return conflicts.length > 0;
+  }
+
   /**
    * Gets a Pointer referencing this Object.
    * @method toPointer
@@ -650,10 +863,17 @@ export default class ParseObject {
     // Consolidate Ops
     var pendingOps = this._getPendingOps();
     var last = pendingOps.length - 1;
+    var step = { ops: newOps, previous: {}, merged: {}, values: {} };
     for (var attr in newOps) {
       var nextOp = newOps[attr].mergeWith(pendingOps[last][attr]);
+      step.previous[attr] = pendingOps[last][attr];
+      step.merged[attr] = nextOp;
+      step.values[attr] = currentAttributes[attr];
       ObjectState.setPendingOp(this.className, this._getStateIdentifier(), attr, nextOp);
     }
+    if (Object.keys(newOps).length) {
+      ParseHistory.record(this, step);
+    }
 
     return this;
   }
@@ -724,6 +944,28 @@ export default class ParseObject {
     return this.set(attr, new RemoveOp([item]));
   }
 
+  /**
+   * Undoes the last change made with set() or one of the methods built on
+   * it. Unsaved changes are dropped, and saved changes are reverted with
+   * inverse ops that can be saved back. See Parse.History.
+   *
+   * @method undo
+   * @return {Boolean} Whether there was a change to undo.
+   */
+  undo(): boolean {
+    return ParseHistory.undo(this);
+  }
+
+  /**
+   * Applies the last change undone with undo() again.
+   *
+   * @method redo
+   * @return {Boolean} Whether there was a change to redo.
+   */
+  redo(): boolean {
+    return ParseHistory.redo(this);
+  }
+
   /**
    * Returns an instance of a subclass of Parse.Op describing what kind of
    * modification has been performed on this field since the last time it was
@@ -759,6 +1001,18 @@ export default class ParseObject {
     return clone;
   }
 
+  /**
+   * Returns the progress of requests made on behalf of this object. The
+   * saving, fetching and destroying flags are true while the corresponding
+   * request is in flight, and savedAt, fetchedAt and destroyedAt hold the
+   * time each kind of request last completed successfully.
+   * @method getStatus
+   * @return {Object}
+   */
+  getStatus(): Status {
+    return ObjectState.getStatus(this.className, this._getStateIdentifier());
+  }
+
   /**
    * Returns true if this object has never been saved to Parse.
    * @method isNew
@@ -880,6 +1134,9 @@ export default class ParseObject {
    *     be used for this request.
    *   <li>sessionToken: A valid session token, used for making a request on
    *       behalf of a specific user.
+   *   <li>keepChanges: If true, unsaved changes are kept rather than
+   *       discarded, and fetched values of changed attributes are reported
+   *       by hasConflicts().
    * </ul>
    * @return {Parse.Promise} A promise that is fulfilled when the fetch
    *     completes.
@@ -893,6 +1150,9 @@ export default class ParseObject {
     if (options.hasOwnProperty('sessionToken')) {
       fetchOptions.sessionToken = options.sessionToken;
     }
+    if (options.hasOwnProperty('keepChanges')) {
+      fetchOptions.keepChanges = options.keepChanges;
+    }
     var controller = CoreManager.getObjectController();
     return controller.fetch(this, true, fetchOptions)._thenRunCallbacks(options);
   }
@@ -992,6 +1252,12 @@ export default class ParseObject {
     if (options.hasOwnProperty('sessionToken')) {
       saveOptions.sessionToken = options.sessionToken;
     }
+    if (options.hasOwnProperty('optimistic')) {
+      saveOptions.optimistic = options.optimistic;
+    }
+    if (options.hasOwnProperty('groupings')) {
+      saveOptions.groupings = options.groupings;
+    }
 
     var controller = CoreManager.getObjectController();
     var unsaved = unsavedChildren(this);
@@ -1027,6 +1293,12 @@ export default class ParseObject {
     if (options.hasOwnProperty('sessionToken')) {
       destroyOptions.sessionToken = options.sessionToken;
     }
+    if (options.hasOwnProperty('optimistic')) {
+      destroyOptions.optimistic = options.optimistic;
+    }
+    if (options.hasOwnProperty('groupings')) {
+      destroyOptions.groupings = options.groupings;
+    }
     if (!this.id) {
       return ParsePromise.as()._thenRunCallbacks(options);
     }
@@ -1036,10 +1308,66 @@ export default class ParseObject {
     )._thenRunCallbacks(options);
   }
 
+  /**
+   * Saves this object's unsaved changes when the server can be reached.
+   * The changes are stored in a queue that survives restarts, and saved in
+   * the order they were queued. Later saves of this object wait for them.
+   * The object must not have unsaved children.
+   *
+   * @method saveEventually
+   * @param {Object} options A Backbone-style callback object.
+   * Valid options are:<ul>
+   *   <li>success: A Backbone-style success callback
+   *   <li>error: An Backbone-style error callback.
+   *   <li>useMasterKey: In Cloud Code and Node only, causes the Master Key to
+   *     be used for this request.
+   *   <li>sessionToken: A valid session token, used for making a request on
+   *       behalf of a specific user.
+   * </ul>
+   * @return {Parse.Promise} A promise that is fulfilled when the queued
+   *     changes have been saved, or rejected if the server refuses them.
+   */
+  saveEventually(options?: FullOptions): ParsePromise {
+    options = options || {};
+    return EventuallyQueue.save(this, options)._thenRunCallbacks(options, this);
+  }
+
+  /**
+   * Destroys this object on the server when it can be reached, after any
+   * changes to it that were queued with saveEventually.
+   *
+   * @method destroyEventually
+   * @param {Object} options A Backbone-style callback object, with the same
+   *     options as saveEventually.
+   * @return {Parse.Promise} A promise that is fulfilled when the destroy
+   *     completes.
+   */
+  destroyEventually(options?: FullOptions): ParsePromise {
+    options = options || {};
+    return EventuallyQueue.destroy(this, options)._thenRunCallbacks(options);
+  }
+
   /** Static methods **/
 
   static _clearAllState() {
     ObjectState._clearAllState();
+    ParseHistory.clear();
+  }
+
+  /**
+   * Creates an instance backed by an object already in the Object State
+   * store, without changing that state.
+   */
+  static _fromState(className: string, id: string): ParseObject {
+    if (!singleInstance) {
+      throw new Error(
+        'Objects can only be read from the store with single instance objects'
+      );
+    }
+    var constructor = classMap[className];
+    var o = constructor ? new constructor() : new ParseObject(className);
+    o.id = id;
+    return o;
   }
 
   /**
@@ -1436,6 +1764,13 @@ export default class ParseObject {
     return ParseObjectSubclass;
   }
 
+  /**
+   * Returns whether objects with the same Id share their state.
+   */
+  static _isSingleInstance(): boolean {
+    return singleInstance;
+  }
+
   /**
    * Enable single instance objects, where any local objects with the same Id
    * share the same attributes, and stay synchronized with each other.
@@ -1501,6 +1836,11 @@ var DefaultController = {
       var query = new ParseQuery(className);
       query.containedIn('objectId', ids);
       query._limit = ids.length;
+      Store.batch(() => {
+        objs.forEach((obj) => {
+          startRequest(obj, 'fetching');
+        });
+      });
       return query.find(options).then((objects) => {
         var idMap = {};
         objects.forEach((o) => {
@@ -1521,19 +1861,36 @@ var DefaultController = {
         }
         if (!singleInstance) {
           // If single instance objects are disabled, we need to replace the
-          for (var i = 0; i < results.length; i++) {
-            var obj = results[i];
-            if (obj && obj.id && idMap[obj.id]) {
-              var id = obj.id;
-              obj._finishFetch(idMap[id].toJSON());
-              results[i] = idMap[id];
+          Store.batch(() => {
+            for (var i = 0; i < results.length; i++) {
+              var obj = results[i];
+              if (obj && obj.id && idMap[obj.id]) {
+                var id = obj.id;
+                obj._finishFetch(idMap[id].toJSON());
+                results[i] = idMap[id];
+              }
             }
-          }
+          });
         }
         return ParsePromise.as(results);
+      }).then((results) => {
+        Store.batch(() => {
+          objs.forEach((obj) => {
+            finishRequest(obj, 'fetching');
+          });
+        });
+        return ParsePromise.as(results);
+      }, (error) => {
+        Store.batch(() => {
+          objs.forEach((obj) => {
+            finishRequest(obj, 'fetching', error);
+          });
+        });
+        return ParsePromise.error(error);
       });
     } else {
       var RESTController = CoreManager.getRESTController();
+      startRequest(target, 'fetching');
       return RESTController.request(
         'GET',
         'classes/' + target.className + '/' + target._getId(),
@@ -1541,10 +1898,16 @@ var DefaultController = {
         options
       ).then((response, status, xhr) => {
         if (target instanceof ParseObject) {
-          target._clearPendingOps();
+          if (!options || !options.keepChanges) {
+            target._clearPendingOps();
+          }
           target._finishFetch(response);
         }
+        finishRequest(target, 'fetching');
         return target;
+      }, (error) => {
+        finishRequest(target, 'fetching', error);
+        return ParsePromise.error(error);
       });
     }
   },
@@ -1573,6 +1936,9 @@ var DefaultController = {
       var errors = [];
       batches.forEach((batch) => {
         deleteCompleted = deleteCompleted.then(() => {
+          batch.forEach((obj) => {
+            startRequest(obj, 'destroying');
+          });
           return RESTController.request('POST', 'batch', {
             requests: batch.map((obj) => {
               return {
@@ -1591,8 +1957,17 @@ var DefaultController = {
                 );
                 err.object = batch[i];
                 errors.push(err);
+                finishRequest(batch[i], 'destroying', err);
+              } else {
+                finishRequest(batch[i], 'destroying');
+                syncQueryCaches(batch[i], true);
               }
             }
+          }, (error) => {
+            batch.forEach((obj) => {
+              finishRequest(obj, 'destroying', error);
+            });
+            return ParsePromise.error(error);
           });
         });
       });
@@ -1605,13 +1980,24 @@ var DefaultController = {
         return ParsePromise.as(target);
       });
     } else if (target instanceof ParseObject) {
+      var optimistic = options && options.optimistic ?
+        applyOptimistic(target, options, true) : null;
+      startRequest(target, 'destroying');
       return RESTController.request(
         'DELETE',
         'classes/' + target.className + '/' + target._getId(),
         {},
         options
       ).then(() => {
+        finishRequest(target, 'destroying');
+        syncQueryCaches(target, true);
         return ParsePromise.as(target);
+      }, (error) => {
+        finishRequest(target, 'destroying', error);
+        if (optimistic) {
+          rollBack(target, optimistic, false);
+        }
+        return ParsePromise.error(error);
       });
     }
     return ParsePromise.as(target);
@@ -1673,24 +2059,13 @@ var DefaultController = {
           var batchReturned = new ParsePromise();
           var batchReady = [];
           var batchTasks = [];
-          batch.forEach((obj, index) => {
+          batch.forEach((obj) => {
             var ready = new ParsePromise();
             batchReady.push(ready);
             var task = function() {
+              startRequest(obj, 'saving');
               ready.resolve();
-              return batchReturned.then((responses, status) => {
-                if (responses[index].hasOwnProperty('success')) {
-                  obj._handleSaveResponse(responses[index].success, status);
-                } else {
-                  if (!objectError && responses[index].hasOwnProperty('error')) {
-                    var serverError = responses[index].error;
-                    objectError = new ParseError(serverError.code, serverError.error);
-                    // Cancel the rest of the save
-                    pending = [];
-                  }
-                  obj._handleSaveError();
-                }
-              });
+              return batchReturned;
             };
             ObjectState.pushPendingState(obj.className, obj._getStateIdentifier());
             batchTasks.push(ObjectState.enqueueTask(obj.className, obj._getStateIdentifier(), task));
@@ -1705,8 +2080,44 @@ var DefaultController = {
                 return params;
               })
             }, options);
-          }).then((response, status, xhr) => {
-            batchReturned.resolve(response, status);
+          }).then((responses, status, xhr) => {
+            // the responses are stored with a single update, before the
+            // tasks of the objects finish
+            Store.batch(() => {
+              batch.forEach((obj, index) => {
+                if (responses[index].hasOwnProperty('success')) {
+                  obj._handleSaveResponse(responses[index].success, status);
+                  finishRequest(obj, 'saving');
+                  syncQueryCaches(obj);
+                } else {
+                  var error = null;
+                  if (responses[index].hasOwnProperty('error')) {
+                    var serverError = responses[index].error;
+                    error = new ParseError(serverError.code, serverError.error);
+                  }
+                  if (!objectError && error) {
+                    objectError = error;
+                    // Cancel the rest of the save
+                    pending = [];
+                  }
+                  obj._handleSaveError();
+                  finishRequest(obj, 'saving', error || new ParseError(ParseError.OTHER_CAUSE));
+                }
+              });
+            });
+            batchReturned.resolve(responses, status);
+          }, (error) => {
+            // a failed request fails every object in the batch, and cancels
+            // the rest of the save
+            objectError = objectError || error;
+            pending = [];
+            Store.batch(() => {
+              batch.forEach((obj) => {
+                obj._handleSaveError();
+                finishRequest(obj, 'saving', error);
+              });
+            });
+            batchReturned.resolve();
           });
 
           return ParsePromise.when(batchTasks);
@@ -1721,8 +2132,10 @@ var DefaultController = {
     } else if (target instanceof ParseObject) {
       // copying target lets Flow guarantee the pointer isn't modified elsewhere
       var targetCopy = target;
+      var optimistic = null;
       var task = function() {
         var params = targetCopy._getSaveParams();
+        startRequest(targetCopy, 'saving');
         return RESTController.request(
           params.method,
           params.path,
@@ -1730,12 +2143,29 @@ var DefaultController = {
           options
         ).then((response, status) => {
           targetCopy._handleSaveResponse(response, status);
+          finishRequest(targetCopy, 'saving');
+          syncQueryCaches(targetCopy);
+          if (optimistic) {
+            // places the saved object by its server data
+            Store.dispatch(QueryActions.syncObject({
+              className: targetCopy.className,
+              object: toSyncRow(targetCopy),
+              keys: options.groupings
+            }));
+          }
         }, (error) => {
-          targetCopy._handleSaveError();
+          if (optimistic) {
+            rollBack(targetCopy, optimistic, true);
+          } else {
+            targetCopy._handleSaveError();
+          }
+          finishRequest(targetCopy, 'saving', error);
           return ParsePromise.error(error);
         });
       }
       ObjectState.pushPendingState(target.className, target._getStateIdentifier());
+      optimistic = options && options.optimistic ?
+        applyOptimistic(target, options) : null;
       return ObjectState.enqueueTask(target.className, target._getStateIdentifier(), task).then(() => {
         return target;
       }, (error) => {
@@ -7,6 +7,8 @@
  * of patent rights can be found in the PATENTS file in the same directory.
  */
 
+import ParseError from './ParseError';
+
 var isPromisesAPlusCompliant = false;
 
 /**
@@ -31,6 +33,9 @@ export default class ParsePromise {
     this._rejected = false;
     this._resolvedCallbacks = [];
     this._rejectedCallbacks = [];
+    this._abortHandler = null;
+    // promises returned by then() that are still waiting on this one
+    this._waiting = 0;
   }
 
   /**
@@ -98,8 +103,43 @@ export default class ParsePromise {
    */
   then(resolvedCallback, rejectedCallback) {
     var promise = new ParsePromise();
+    var parent = this;
+    var returned = null;
+
+    // Aborting the new promise aborts the one it is waiting on, this one or
+    // the one returned by a callback, once every other promise waiting on it
+    // through then() has been aborted too. The new promise is rejected without
+    // running its callbacks either way.
+    parent._waiting++;
+    promise._onAbort(function() {
+      if (returned) {
+        if (typeof returned.abort === 'function') {
+          returned.abort();
+        }
+      } else if (--parent._waiting === 0) {
+        parent.abort();
+      }
+      if (!promise._isSettled()) {
+        promise.reject(new ParseError(ParseError.ABORTED, 'The request was aborted.'));
+      }
+    });
+
+    var follow = function(result) {
+      returned = result.then(function() {
+        if (!promise._isSettled()) {
+          promise.resolve.apply(promise, arguments);
+        }
+      }, function(error) {
+        if (!promise._isSettled()) {
+          promise.reject(error);
+        }
+      });
+    };
 
     var wrappedResolvedCallback = function(...results) {
+      if (promise._isSettled()) {
+        return;
+      }
       if (typeof resolvedCallback === 'function') {
         if (isPromisesAPlusCompliant) {
           try {
@@ -112,17 +152,16 @@ export default class ParsePromise {
         }
       }
       if (results.length === 1 && ParsePromise.is(results[0])) {
-        results[0].then(function() {
-          promise.resolve.apply(promise, arguments);
-        }, function(error) {
-          promise.reject(error);
-        });
+        follow(results[0]);
       } else {
         promise.resolve.apply(promise, results);
       }
     };
 
     var wrappedRejectedCallback = function(error) {
+      if (promise._isSettled()) {
+        return;
+      }
       var result = [];
       if (typeof rejectedCallback === 'function') {
         if (isPromisesAPlusCompliant) {
@@ -135,11 +174,7 @@ export default class ParsePromise {
           result = [rejectedCallback(error)];
         }
         if (result.length === 1 && ParsePromise.is(result[0])) {
-          result[0].then(function() {
-            promise.resolve.apply(promise, arguments);
-          }, function(error) {
-            promise.reject(error);
-          });
+          follow(result[0]);
         } else {
           if (isPromisesAPlusCompliant) {
             promise.resolve.apply(promise, result);
@@ -184,6 +219,37 @@ export default class ParsePromise {
     return promise;
   }
 
+  /**
+   * Aborts the request this promise is waiting on, and rejects it with a
+   * Parse.Error with code Parse.Error.ABORTED. Promises returned by then()
+   * abort the promise they are waiting on once every promise returned by
+   * then() on it has been aborted, so aborting the promise returned by a
+   * query, a Cloud Code function or a file upload aborts its request unless
+   * other promises are still waiting on it. Does nothing once the promise
+   * has been resolved or rejected.
+   * @method abort
+   */
+  abort() {
+    if (this._isSettled() || !this._abortHandler) {
+      return;
+    }
+    this._abortHandler();
+  }
+
+  /**
+   * Sets the function abort() calls to abort the work this promise is
+   * waiting on. The function is expected to reject the promise.
+   * @method _onAbort
+   * @param {Function} handler
+   */
+  _onAbort(handler) {
+    this._abortHandler = handler;
+  }
+
+  _isSettled() {
+    return this._resolved || this._rejected;
+  }
+
   /**
    * Add handlers to be called when the promise
    * is either resolved or rejected
@@ -11,6 +11,8 @@
 
 import CoreManager from './CoreManager';
 import encode from './encode';
+import * as LiveQuery from './LiveQuery';
+import { objectsFromState, runQuery } from './matchesQuery';
 import ParseError from './ParseError';
 import ParseGeoPoint from './ParseGeoPoint';
 import ParseObject from './ParseObject';
@@ -21,7 +23,7 @@ import type { RequestOptions, FullOptions } from './RESTController';
 import * as Store from './ReduxStore';
 import { QueryActions as Actions } from './ReduxActionCreators';
 
-import CacheHelper, { getItemState } from './ReduxCacheHelper';
+import CacheHelper, { fromRefs, getItemState } from './ReduxCacheHelper';
 var cacheHelper = new CacheHelper({Actions, namespace: "Query"});
 
 export type WhereClause = {
@@ -50,6 +52,70 @@ function quote(s: string) {
 
 var ExecutedQueries = {};
 
+/**
+ * Splits an order list such as ['-score', 'createdAt'] into sort keys.
+ */
+function parseOrder(order: Array<string>): Array<{ key: string, descending: boolean }> {
+  return order.map((key) => {
+    if (key[0] === '-') {
+      return { key: key.substr(1), descending: true };
+    }
+    return { key, descending: false };
+  });
+}
+
+function isOperatorObject(value: mixed): boolean {
+  if (!value || typeof value !== 'object' || Array.isArray(value) || value.__type) {
+    return false;
+  }
+  return Object.keys(value).every((key) => key[0] === '$');
+}
+
+/**
+ * Combines two where clauses. Operators on the same key are merged, with
+ * the constraints of the second clause taking precedence.
+ */
+function mergeWhere(base: WhereClause, extra: WhereClause): WhereClause {
+  var merged = {};
+  var key;
+  for (key in base) {
+    merged[key] = base[key];
+  }
+  for (key in extra) {
+    if (isOperatorObject(merged[key]) && isOperatorObject(extra[key])) {
+      merged[key] = { ...merged[key], ...extra[key] };
+    } else {
+      merged[key] = extra[key];
+    }
+  }
+  return merged;
+}
+
+/**
+ * Builds the constraints selecting every row that sorts after the cursor
+ * row, for a compound sort order. For keys k1..kn this generates
+ *   k1 > v1 OR (k1 = v1 AND k2 > v2) OR ... OR (k1 = v1 ... AND kn > vn)
+ * with the comparison flipped for descending keys.
+ */
+function cursorConstraints(
+  keys: Array<{ key: string, descending: boolean }>,
+  row: ParseObject
+): Array<WhereClause> {
+  var values = keys.map(({ key }) => {
+    var value = key === 'objectId' ? row.id : row.get(key);
+    return encode(value, false, true);
+  });
+
+  return keys.map(({ descending }, i) => {
+    var clause = {};
+    for (var j = 0; j < i; j++) {
+      clause[keys[j].key] = values[j];
+    }
+    clause[keys[i].key] = { [descending ? '$lt' : '$gt']: values[i] };
+    return clause;
+  });
+}
+
 /**
  * Creates a new parse Parse.Query for the given Parse.Object subclass.
  * @class Parse.Query
@@ -203,6 +269,44 @@ export default class ParseQuery {
     return params;
   }
 
+  /**
+   * Creates a query from the JSON representation returned by toJSON().
+   * @method fromJSON
+   * @param {String} className The class of the objects to query.
+   * @param {Object} json The JSON representation of the query.
+   * @static
+   * @return {Parse.Query} The new query.
+   */
+  static fromJSON(className: string, json: QueryJSON): ParseQuery {
+    var query = new ParseQuery(className);
+    for (var key in json) {
+      var value = json[key];
+      switch (key) {
+        case 'where':
+          query._where = JSON.parse(JSON.stringify(value));
+          break;
+        case 'include':
+          query._include = value.split(',');
+          break;
+        case 'keys':
+          query._select = value.split(',');
+          break;
+        case 'limit':
+          query._limit = value;
+          break;
+        case 'skip':
+          query._skip = value;
+          break;
+        case 'order':
+          query._order = value.split(',');
+          break;
+        default:
+          query._extraOptions[key] = value;
+      }
+    }
+    return query;
+  }
+
   /**
    * Constructs a Parse.Object whose id is already known by fetching data from
    * the server.  Either options.success or options.error is called when the
@@ -218,6 +322,8 @@ export default class ParseQuery {
    *     be used for this request.
    *   <li>sessionToken: A valid session token, used for making a request on
    *       behalf of a specific user.
+   *   <li>dedupe: If false, the request is not shared with identical
+   *     requests already in flight.
    * </ul>
    *
    * @return {Parse.Promise} A promise that is resolved with the result when
@@ -233,6 +339,9 @@ export default class ParseQuery {
     if (options && options.hasOwnProperty('sessionToken')) {
       firstOptions.sessionToken = options.sessionToken;
     }
+    if (options && options.hasOwnProperty('dedupe')) {
+      firstOptions.dedupe = options.dedupe;
+    }
 
     return this.first(firstOptions).then((response) => {
       if (response) {
@@ -261,6 +370,8 @@ export default class ParseQuery {
    *     be used for this request.
    *   <li>sessionToken: A valid session token, used for making a request on
    *       behalf of a specific user.
+   *   <li>dedupe: If false, the request is not shared with identical
+   *     requests already in flight.
    * </ul>
    *
    * @return {Parse.Promise} A promise that is resolved with the results when
@@ -278,6 +389,9 @@ export default class ParseQuery {
 	    if (options.hasOwnProperty('sessionToken')) {
 	      findOptions.sessionToken = options.sessionToken;
 	    }
+	    if (options.hasOwnProperty('dedupe')) {
+	      findOptions.dedupe = options.dedupe;
+	    }
 
 	    var controller = CoreManager.getQueryController();
 
@@ -286,25 +400,16 @@ export default class ParseQuery {
 	      this.toJSON(),
 	      findOptions
 	    ).then((response) => {
-	      return response.results.map((data) => {
-	        data.className = this.className;
-	        return ParseObject.fromJSON(data);
+	      // the whole response is stored with a single update
+	      return Store.batch(() => {
+	        return response.results.map((data) => {
+	          data.className = this.className;
+	          return ParseObject.fromJSON(data);
+	        });
 	      });
 	    })._thenRunCallbacks(options);
 	  }).bind(this);
 
-	  _find.refresh = (function refresh(grouping) {
-	  	var limit = this._limit != -1 ? this._limit : 100;
-
-	  	return cacheHelper.refresh(_find, {name: this.className, data: this, grouping, limit});
-	  }).bind(this);
-
-	  _find.init = (function init(grouping) {
-	  	var limit = this._limit != -1 ? this._limit : 100;
-
-	  	return cacheHelper.init(_find, {name: this.className, data: this, grouping, limit});
-	  }).bind(this);
-
 	  function cloneQuery(oldQuery) {
 	  	var query = new ParseQuery(oldQuery.className);
 	  	for (var prop in oldQuery)
@@ -313,65 +418,134 @@ export default class ParseQuery {
 	  	return query;
 	  }
 
+	  // Every page of a cache is requested in the same order, with objectId
+	  // breaking ties between rows sharing the same sort values, so that paging
+	  // neither skips nor repeats them
+	  function pageOrder(query, cache) {
+	  	var keys;
+	  	if (query._order && query._order.length) {
+	  		keys = parseOrder(query._order);
+	  	} else {
+	  		// without an explicit order, page through createdAt in the direction
+	  		// the cache was built in
+	  		var direction = query._where.createdAt;
+	  		var ascending;
+		  	if (cache && cache.length >= 2)
+		  		ascending = cache[0].get('createdAt') < cache[1].get('createdAt');
+		  	else
+		  		ascending = (!!direction && !!direction.$gt);
+	  		keys = [{ key: 'createdAt', descending: !ascending }];
+	  	}
+
+	  	if (!keys.some(({ key }) => key === 'objectId'))
+	  		keys.push({ key: 'objectId', descending: keys[0].descending });
+
+	  	return keys;
+	  }
+
+	  function toOrder(keys) {
+	  	return keys.map(({ key, descending }) => (descending ? '-' : '') + key);
+	  }
+
+	  // the first page of a cache
+	  var firstPage = (function firstPage() {
+	  	var query = cloneQuery(this);
+	  	query._order = toOrder(pageOrder(query));
+	  	return query;
+	  }).bind(this);
+
+	  // the query is stored with its cache so that saved objects can be matched
+	  // against it
+	  var cacheOptions = (function cacheOptions(grouping) {
+	  	var limit = this._limit != -1 ? this._limit : 100;
+	  	var query = JSON.parse(JSON.stringify(firstPage().toJSON()));
+	  	query.limit = limit;
+
+	  	return {name: this.className, data: this, grouping, limit, query};
+	  }).bind(this);
+
+	  var findFirstPage = function() {
+	  	return firstPage().find();
+	  };
+
+	  _find.refresh = (function refresh(grouping) {
+	  	return cacheHelper.refresh(findFirstPage, cacheOptions(grouping));
+	  }).bind(this);
+
+	  _find.init = (function init(grouping, policy) {
+	  	return cacheHelper.init(findFirstPage, cacheOptions(grouping), policy);
+	  }).bind(this);
+
 	  function setDirection(query, cache, append) {
-	  	var direction = query._where.createdAt;
-	  	var impliedAscending = (!!direction && !!direction.$gt);
+	  	var keys = pageOrder(query, cache);
+
+	  	// a bound on the primary sort key, on the side the query's results start
+	  	// from, marks where paging starts rather than limiting the results
+	  	var primary = keys[0];
+	  	var startOp = primary.descending ? '$lt' : '$gt';
+	  	var bound = query._where[primary.key];
 	  	var start;
-	  	if (direction)
-	  	{
-	  		start = direction.$lt || direction.$gt;
-	  		delete query._where.createdAt;
-	  	}
-  		
-  		var ascending;
-	  	if (cache && cache.length >= 2)
-	  		ascending = cache[0].get('createdAt') < cache[1].get('createdAt');
-	  	else
-	  	{
-	  		var actualAscending = (!!query._order && query._order.length == 1 && query._order[0] == 'createdAt')
-  			ascending = impliedAscending || actualAscending;
+	  	if (isOperatorObject(bound) && bound.hasOwnProperty(startOp)) {
+	  		start = bound[startOp];
+	  		bound = { ...bound };
+	  		delete bound[startOp];
+	  		if (Object.keys(bound).length)
+	  			query._where[primary.key] = bound;
+	  		else
+	  			delete query._where[primary.key];
 	  	}
 
 	  	if (!append)
-  			ascending = !ascending
-	  	
-	  	query[ascending ? 'ascending' : 'descending']('createdAt');
+	  		keys = keys.map(({ key, descending }) => ({ key, descending: !descending }));
+	  	primary = keys[0];
+
+	  	query._order = toOrder(keys);
 
-	  	var last;
+	  	var clauses;
 	  	if (cache && cache.length)
-	  		last = (append ? cache[cache.length - 1] : cache[0]).get('createdAt');
+	  		clauses = cursorConstraints(keys, append ? cache[cache.length - 1] : cache[0]);
+	  	else if (typeof start !== 'undefined')
+	  		clauses = [{ [primary.key]: { [primary.descending ? '$lt' : '$gt']: start } }];
 	  	else
-	  		last = start;
+	  		return;
 
-	  	if (last)
-	  		query[ascending ? 'greaterThan' : 'lessThan']('createdAt', last);
+	  	var where = query._where;
+	  	var branches = where.$or || [{}];
+	  	delete where.$or;
+
+	  	var combined = [];
+	  	branches.forEach((branch) => {
+	  		clauses.forEach((clause) => {
+	  			combined.push(mergeWhere(branch, clause));
+	  		});
+	  	});
+
+	  	if (combined.length == 1)
+	  		query._where = mergeWhere(where, combined[0]);
+	  	else
+	  		where.$or = combined;
 	  }
 
 	  var _manageCache = (function _manageCache(options, operation) {
-	  	var state = Store.getState().Parse.Query;
-	  	var cache = getItemState(state, options).cache;
+	  	var cache = cacheHelper.get(options);
 	  	var query = cloneQuery(this);
 	  	var append = operation == 'append';
-	  	var limit = this._limit != -1 ? this._limit : 100;
-	  	
+
 	  	setDirection(query, cache, append);
 
-	  	var cb = query.find.bind(query, options);
-	  	return cacheHelper[operation](cb, {...options, limit});
+	  	// prepended rows are fetched in reverse order, closest to the cache first
+	  	var cb = function() {
+	  		return query.find(options).then((results) => append ? results : results.reverse());
+	  	};
+	  	return cacheHelper[operation](cb, options);
 	  }).bind(this);
 
 	  _find.append = (function append(grouping) {
-	  	var name = this.className;
-	  	var data = this;
-
-	  	return _manageCache({name, data, grouping}, 'append');
+	  	return _manageCache(cacheOptions(grouping), 'append');
 	  }).bind(this);
 
 	  _find.prepend = (function prepend(grouping) {
-	  	var name = this.className;
-	  	var data = this;
-
-	  	return _manageCache({name, data, grouping}, 'prepend');
+	  	return _manageCache(cacheOptions(grouping), 'prepend');
 	  }).bind(this);
 
 	  _find.get = (function findGet(grouping) {
@@ -381,18 +555,48 @@ export default class ParseQuery {
 	  	return cacheHelper.get({name, data, grouping});
 	  }).bind(this);
 
+	  // runs the query against the objects already in the store, without
+	  // making a request
+	  _find.local = (function local(): Array<ParseObject> {
+	  	// without single instance objects, the store holds a copy of each
+	  	// object per instance
+	  	if (!ParseObject._isSingleInstance())
+	  		throw new Error('Queries can only be run locally with single instance objects');
+
+	  	var objectState = Store.getParseState().Object;
+	  	var getRows = (className) => objectsFromState(objectState, className);
+
+	  	return runQuery(getRows(this.className), this.toJSON(), getRows)
+	  		.map((row) => ParseObject._fromState(row.className, row.id));
+	  }).bind(this);
+
 	  _find.getState = (function getState(grouping) {
 	  	var name = this.className;
 	  	var data = this;
 
-	  	var state = getItemState(Store.getState().Parse.Query, {name, data, grouping});
+	  	var state = getItemState(Store.getParseState().Query, {name, data, grouping});
 			if (Object.keys(state).length)
-				return state;
+				return 'cache' in state ? {...state, cache: fromRefs(state.cache)} : state;
 	  }).bind(this);
 
 	  return _find;
   }
 
+  /**
+   * Subscribes to changes to the objects matching this query on a LiveQuery
+   * server. Objects created, updated, or entering the query are merged into
+   * the store and moved into the cached result of the query, and objects
+   * leaving the query or deleted are removed from it.
+   *
+   * @method subscribe
+   * @param {String} grouping The grouping of the cached result to keep up
+   *     to date, if not the query itself.
+   * @return {Object} The subscription, whose unsubscribe() method ends it.
+   */
+  subscribe(grouping?: string) {
+    return LiveQuery.subscribe(this, grouping);
+  }
+
   /**
    * Counts the number of objects that match this query.
    * Either options.success or options.error is called when the count
@@ -407,6 +611,8 @@ export default class ParseQuery {
    *     be used for this request.
    *   <li>sessionToken: A valid session token, used for making a request on
    *       behalf of a specific user.
+   *   <li>dedupe: If false, the request is not shared with identical
+   *     requests already in flight.
    * </ul>
    *
    * @return {Parse.Promise} A promise that is resolved with the count when
@@ -422,6 +628,9 @@ export default class ParseQuery {
     if (options.hasOwnProperty('sessionToken')) {
       findOptions.sessionToken = options.sessionToken;
     }
+    if (options.hasOwnProperty('dedupe')) {
+      findOptions.dedupe = options.dedupe;
+    }
 
     var controller = CoreManager.getQueryController();
 
@@ -453,6 +662,8 @@ export default class ParseQuery {
    *     be used for this request.
    *   <li>sessionToken: A valid session token, used for making a request on
    *       behalf of a specific user.
+   *   <li>dedupe: If false, the request is not shared with identical
+   *     requests already in flight.
    * </ul>
    *
    * @return {Parse.Promise} A promise that is resolved with the object when
@@ -468,6 +679,9 @@ export default class ParseQuery {
     if (options.hasOwnProperty('sessionToken')) {
       findOptions.sessionToken = options.sessionToken;
     }
+    if (options.hasOwnProperty('dedupe')) {
+      findOptions.dedupe = options.dedupe;
+    }
 
     var controller = CoreManager.getQueryController();
 
@@ -556,6 +770,9 @@ export default class ParseQuery {
     if (options.hasOwnProperty('sessionToken')) {
       findOptions.sessionToken = options.sessionToken;
     }
+    if (options.hasOwnProperty('dedupe')) {
+      findOptions.dedupe = options.dedupe;
+    }
 
     var finished = false;
     return ParsePromise._continueWhile(() => {
@@ -1120,6 +1337,28 @@ export default class ParseQuery {
     query._orQuery(queries);
     return query;
   }
+
+  /**
+   * Enable syncing of cached query results, where saving or destroying an
+   * object inserts, moves or removes it in every cached result of its class,
+   * based on the constraints and sort order of the cached query.
+   * This is disabled by default.
+   * @method enableCacheSync
+   * @static
+   */
+  static enableCacheSync() {
+    CoreManager.set('SYNC_QUERY_CACHES', true);
+  }
+
+  /**
+   * Disable syncing of cached query results. Cached results only change when
+   * they are refreshed, appended to or prepended to.
+   * @method disableCacheSync
+   * @static
+   */
+  static disableCacheSync() {
+    CoreManager.set('SYNC_QUERY_CACHES', false);
+  }
 }
 
 var DefaultController = {
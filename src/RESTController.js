@@ -17,6 +17,10 @@ import Storage from './Storage';
 export type RequestOptions = {
   useMasterKey?: boolean;
   sessionToken?: string;
+  dedupe?: boolean;
+  optimistic?: boolean;
+  groupings?: Array<string>;
+  keepChanges?: boolean;
 };
 
 export type FullOptions = {
@@ -24,14 +28,57 @@ export type FullOptions = {
   error?: any;
   useMasterKey?: boolean;
   sessionToken?: string;
+  dedupe?: boolean;
+  optimistic?: boolean;
+  groupings?: Array<string>;
+  keepChanges?: boolean;
 }
 
+export type InterceptedRequest = {
+  method: string;
+  path: string;
+  payload: { [key: string]: mixed };
+  headers: { [header: string]: string };
+};
+
+// The result of a request and its status, or the ParseError it failed with
+export type InterceptedResponse = {
+  result?: mixed;
+  status?: number;
+  error?: ParseError;
+};
+
+export type TransportResponse = {
+  status: number;
+  responseText: string;
+};
+
+// A transport makes a single HTTP request, and calls done with the response,
+// or with a status of 0 if none was received. It returns a function that
+// aborts the request.
+export type Transport = (
+  method: string,
+  url: string,
+  body: string,
+  headers: { [header: string]: string },
+  done: (response: TransportResponse) => void
+) => () => void;
+
 var XHR = null;
 if (typeof XMLHttpRequest !== 'undefined') {
   XHR = XMLHttpRequest;
 }
+
+// Node modules used by the node transport
+var http = null;
+var https = null;
+var parseUrl = null;
+
 if (process.env.PARSE_BUILD === 'node') {
   XHR = require('xmlhttprequest').XMLHttpRequest;
+  http = require('http');
+  https = require('https');
+  parseUrl = require('url').parse;
 }
 
 var useXDomainRequest = false;
@@ -40,10 +87,64 @@ if (typeof XDomainRequest !== 'undefined' &&
   useXDomainRequest = true;
 }
 
+// Requests shared by identical calls, by URL and payload
+var inFlight = {};
+
+function abortedError() {
+  return new ParseError(ParseError.ABORTED, 'The request was aborted.');
+}
+
+/**
+ * Shares one request among identical calls made while it is in flight. Each
+ * call gets its own promise and its own copy of the response. The request is
+ * only aborted once every call sharing it has been aborted.
+ */
+function coalesce(key: string, send: () => ParsePromise): ParsePromise {
+  var shared = inFlight[key];
+  if (!shared) {
+    shared = inFlight[key] = { request: send(), waiting: 0, json: null };
+    var entry = shared;
+    entry.request.then((response) => {
+      delete inFlight[key];
+      if (entry.waiting > 1) {
+        entry.json = JSON.stringify(response);
+      }
+    }, () => {
+      delete inFlight[key];
+    });
+  }
+
+  var current = shared;
+  var promise = new ParsePromise();
+  current.waiting++;
+  current.request.then((response, status, xhr) => {
+    if (!promise._isSettled()) {
+      promise.resolve(current.json ? JSON.parse(current.json) : response, status, xhr);
+    }
+  }, (error) => {
+    if (!promise._isSettled()) {
+      promise.reject(error);
+    }
+  });
+  promise._onAbort(() => {
+    if (--current.waiting === 0) {
+      current.request.abort();
+    }
+    if (!promise._isSettled()) {
+      promise.reject(abortedError());
+    }
+  });
+  return promise;
+}
+
 function ajaxIE9(method: string, url: string, data: any) {
   var promise = new ParsePromise();
   var xdr = new XDomainRequest();
+  var aborted = false;
   xdr.onload = function() {
+    if (aborted) {
+      return;
+    }
     var response;
     try {
       response = JSON.parse(xdr.responseText);
@@ -55,6 +156,9 @@ function ajaxIE9(method: string, url: string, data: any) {
     }
   };
   xdr.onerror = xdr.ontimeout = function() {
+    if (aborted) {
+      return;
+    }
     // Let's fake a real error message.
     var fakeResponse = {
       responseText: JSON.stringify({
@@ -67,32 +171,287 @@ function ajaxIE9(method: string, url: string, data: any) {
   xdr.onprogress = function() { };
   xdr.open(method, url);
   xdr.send(data);
+  promise._onAbort(function() {
+    aborted = true;
+    xdr.abort();
+    promise.reject(abortedError());
+  });
   return promise;
 }
 
+// Responses are passed on as the XMLHttpRequest itself, which has the status
+// and responseText of a TransportResponse
+function xhrTransport(method, url, body, headers, done) {
+  if (XHR == null) {
+    throw new Error(
+      'Cannot make a request: No definition of XMLHttpRequest was found.'
+    );
+  }
+  var handled = false;
+  var xhr = new XHR();
+
+  xhr.onreadystatechange = function() {
+    if (xhr.readyState !== 4 || handled) {
+      return;
+    }
+    handled = true;
+    done(xhr);
+  };
+
+  xhr.open(method, url, true);
+  for (var h in headers) {
+    xhr.setRequestHeader(h, headers[h]);
+  }
+  xhr.send(body);
+  return function() {
+    xhr.abort();
+  };
+}
+
+function fetchTransport(method, url, body, headers, done) {
+  if (typeof fetch !== 'function') {
+    throw new Error('Cannot make a request: No definition of fetch was found.');
+  }
+  var aborted = false;
+  var controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  var status = 0;
+
+  fetch(url, {
+    method: method,
+    headers: headers,
+    // fetch refuses GET requests with a body, even an empty one
+    body: method === 'GET' ? undefined : body,
+    signal: controller ? controller.signal : undefined
+  }).then((response) => {
+    status = response.status;
+    return response.text();
+  }).then((responseText) => {
+    if (!aborted) {
+      done({ status, responseText });
+    }
+  }, () => {
+    // responses that could not be read count as connection failures
+    if (!aborted) {
+      done({ status: 0, responseText: '' });
+    }
+  });
+  return function() {
+    aborted = true;
+    if (controller) {
+      controller.abort();
+    }
+  };
+}
+
+function nodeTransport(method, url, body, headers, done) {
+  if (!http || !https || !parseUrl) {
+    throw new Error('Cannot make a request: The node transport requires Node.js.');
+  }
+  var finished = false;
+  var finish = function(response) {
+    if (!finished) {
+      finished = true;
+      done(response);
+    }
+  };
+
+  var parsed = parseUrl(url);
+  var client = parsed.protocol === 'https:' ? https : http;
+  var requestHeaders = { 'Content-Length': Buffer.byteLength(body) };
+  for (var h in headers) {
+    requestHeaders[h] = headers[h];
+  }
+
+  var request = client.request({
+    method: method,
+    hostname: parsed.hostname,
+    port: parsed.port,
+    path: parsed.path,
+    headers: requestHeaders
+  }, (response) => {
+    var chunks = [];
+    response.setEncoding('utf8');
+    response.on('data', (chunk) => {
+      chunks.push(chunk);
+    });
+    response.on('end', () => {
+      finish({ status: response.statusCode, responseText: chunks.join('') });
+    });
+  });
+  request.on('error', () => {
+    finish({ status: 0, responseText: '' });
+  });
+  request.end(body);
+  return function() {
+    finished = true;
+    request.abort();
+  };
+}
+
+var Transports: { [name: string]: Transport } = {
+  xhr: xhrTransport,
+  fetch: fetchTransport,
+  node: nodeTransport
+};
+
+function getTransport(): Transport {
+  var transport = CoreManager.get('REQUEST_TRANSPORT');
+  if (typeof transport === 'function') {
+    return transport;
+  }
+  if (Transports.hasOwnProperty(transport)) {
+    return Transports[transport];
+  }
+  throw new Error('Unknown request transport: ' + String(transport));
+}
+
+/**
+ * Passes a request or response through each interceptor in turn. An
+ * interceptor may modify what it is given, or return a replacement, or a
+ * promise resolved with either.
+ */
+function intercept(interceptors: Array<Function>, value: any, ...args: Array<mixed>): ParsePromise {
+  var promise = ParsePromise.as(value);
+  interceptors.forEach((interceptor) => {
+    promise = promise.then((current) => {
+      var returned = interceptor(current, ...args);
+      if (ParsePromise.is(returned)) {
+        return returned.then((replacement) => ParsePromise.as(replacement || current));
+      }
+      return ParsePromise.as(returned || current);
+    });
+  });
+  return promise;
+}
+
+// Settles a request with its response, once it has been intercepted
+function respond(
+  response: InterceptedResponse,
+  request: InterceptedRequest,
+  xhr?: mixed
+): ParsePromise {
+  var interceptors = CoreManager.get('RESPONSE_INTERCEPTORS');
+  return intercept(interceptors, response, request).then((intercepted) => {
+    if (intercepted.error) {
+      return ParsePromise.error(intercepted.error);
+    }
+    return ParsePromise.as(intercepted.result, intercepted.status, xhr);
+  });
+}
+
+// The payload fields sent as headers in the 'headers' auth mode
+var CredentialHeaders = {
+  _ApplicationId: 'X-Parse-Application-Id',
+  _JavaScriptKey: 'X-Parse-JavaScript-Key',
+  _MasterKey: 'X-Parse-Master-Key',
+  _SessionToken: 'X-Parse-Session-Token',
+  _InstallationId: 'X-Parse-Installation-Id',
+  _ClientVersion: 'X-Parse-Client-Version',
+  _RevocableSession: 'X-Parse-Revocable-Session'
+};
+
+function moveCredentialsToHeaders(request: InterceptedRequest) {
+  var payload = request.payload;
+  for (var field in CredentialHeaders) {
+    if (payload.hasOwnProperty(field)) {
+      if (payload[field] != null) {
+        request.headers[CredentialHeaders[field]] = String(payload[field]);
+      }
+      delete payload[field];
+    }
+  }
+}
+
+// Paths whose GET parameters are credentials, which are kept out of URLs
+var CredentialPaths = ['login'];
+
+// Encodes GET parameters the way the REST API expects them: strings as they
+// are, and anything else, such as where clauses, as JSON
+function toQueryString(payload: { [key: string]: mixed }): string {
+  var params = [];
+  for (var key in payload) {
+    var value = payload[key];
+    if (typeof value === 'undefined') {
+      continue;
+    }
+    params.push(
+      encodeURIComponent(key) + '=' +
+      encodeURIComponent(typeof value === 'string' ? value : JSON.stringify(value))
+    );
+  }
+  return params.length ? '?' + params.join('&') : '';
+}
+
+function send(request: InterceptedRequest, dedupe: boolean, authMode: string): ParsePromise {
+  var url = CoreManager.get('SERVER_URL');
+  if (url[url.length - 1] !== '/') {
+    url += '/';
+  }
+  url += request.path;
+
+  var method = request.method;
+  var payload = { ...request.payload };
+  var headers = request.headers;
+  var body;
+
+  if (authMode === 'headers') {
+    // Real verbs, with the parameters of GET requests in the query string.
+    // GET requests with credentials are overridden POSTs, as in body mode.
+    headers = { ...headers, 'Content-Type': 'application/json' };
+    if (method === 'GET' && CredentialPaths.indexOf(request.path) < 0) {
+      url += toQueryString(payload);
+      body = '';
+    } else {
+      if (method === 'GET') {
+        payload._method = method;
+        method = 'POST';
+      }
+      body = JSON.stringify(payload);
+    }
+  } else {
+    if (method !== 'POST') {
+      payload._method = method;
+      method = 'POST';
+    }
+    body = JSON.stringify(payload);
+  }
+
+  var ajax = () => RESTController.ajax(method, url, body, { ...headers });
+
+  if (dedupe) {
+    return coalesce(method + ' ' + url + ' ' + JSON.stringify(headers) + ' ' + body, ajax);
+  }
+  return ajax();
+}
+
 var RESTController = {
   ajax(method: string, url: string, data: any, headers?: any) {
-    if (useXDomainRequest) {
+    var transport = getTransport();
+    if (transport === xhrTransport && useXDomainRequest) {
       return ajaxIE9(method, url, data, headers);
     }
 
     var promise = new ParsePromise();
     var attempts = 0;
+    var abortCurrent = null;
+    var retry = null;
+    var aborted = false;
 
-    var dispatch = function() {
-      if (XHR == null) {
-        throw new Error(
-          'Cannot make a request: No definition of XMLHttpRequest was found.'
-        );
-      }
-      var handled = false;
-      var xhr = new XHR();
+    headers = headers || {};
+    if (!headers['Content-Type']) {
+      headers['Content-Type'] = 'text/plain'; // Avoid pre-flight
+    }
+    if (CoreManager.get('IS_NODE')) {
+      headers['User-Agent'] = 'Parse/' + CoreManager.get('VERSION') +
+        ' (NodeJS ' + process.versions.node + ')';
+    }
 
-      xhr.onreadystatechange = function() {
-        if (xhr.readyState !== 4 || handled) {
+    var dispatch = function() {
+      retry = null;
+      abortCurrent = transport(method, url, data, headers, (xhr) => {
+        if (aborted) {
           return;
         }
-        handled = true;
 
         if (xhr.status >= 200 && xhr.status < 300) {
           var response;
@@ -104,13 +463,13 @@ var RESTController = {
           if (response) {
             promise.resolve(response, xhr.status, xhr);
           }
-        } else if (xhr.status >= 500 || xhr.status === 0) { // retry on 5XX or node-xmlhttprequest error
+        } else if (xhr.status >= 500 || xhr.status === 0) { // retry on 5XX or connection failure
           if (++attempts < CoreManager.get('REQUEST_ATTEMPT_LIMIT')) {
             // Exponentially-growing random delay
             var delay = Math.round(
               Math.random() * 125 * Math.pow(2, attempts)
             );
-            setTimeout(dispatch, delay);
+            retry = setTimeout(dispatch, delay);
           } else if (xhr.status === 0) {
             promise.reject('Unable to connect to the Parse API');
           } else {
@@ -120,34 +479,27 @@ var RESTController = {
         } else {
           promise.reject(xhr);
         }
-      };
+      });
+    }
+    dispatch();
 
-      headers = headers || {};
-      headers['Content-Type'] = 'text/plain'; // Avoid pre-flight
-      if (CoreManager.get('IS_NODE')) {
-        headers['User-Agent'] = 'Parse/' + CoreManager.get('VERSION') +
-          ' (NodeJS ' + process.versions.node + ')';
+    // Aborting skips any retries left
+    promise._onAbort(function() {
+      aborted = true;
+      if (retry !== null) {
+        clearTimeout(retry);
       }
-
-      xhr.open(method, url, true);
-      for (var h in headers) {
-        xhr.setRequestHeader(h, headers[h]);
+      if (abortCurrent) {
+        abortCurrent();
       }
-      xhr.send(data);
-    }
-    dispatch();
+      promise.reject(abortedError());
+    });
 
     return promise;
   },
 
   request(method: string, path: string, data: mixed, options?: RequestOptions) {
     options = options || {};
-    var url = CoreManager.get('SERVER_URL');
-    if (url[url.length - 1] !== '/') {
-      url += '/';
-    }
-    url += path;
-
     var payload = {};
     if (data && typeof data === 'object') {
       for (var k in data) {
@@ -155,9 +507,11 @@ var RESTController = {
       }
     }
 
-    if (method !== 'POST') {
-      payload._method = method;
-      method = 'POST';
+    // identical GET requests in flight share one request, unless the call
+    // opts out
+    var dedupe = method === 'GET';
+    if (typeof options.dedupe === 'boolean') {
+      dedupe = options.dedupe;
     }
 
     payload._ApplicationId = CoreManager.get('APPLICATION_ID');
@@ -181,6 +535,23 @@ var RESTController = {
       payload._RevocableSession = '1';
     }
 
+    var authMode = CoreManager.get('REQUEST_AUTH_MODE');
+    if (authMode !== 'body' && authMode !== 'headers') {
+      throw new Error('Unknown request auth mode: ' + String(authMode));
+    }
+    if (authMode === 'headers' && getTransport() === xhrTransport && useXDomainRequest) {
+      throw new Error(
+        'Cannot send credentials as headers: XDomainRequest does not support headers.'
+      );
+    }
+
+    var request: InterceptedRequest = {
+      method: method,
+      path: path,
+      payload: payload,
+      headers: {}
+    };
+
     var installationController = CoreManager.getInstallationController();
 
     return installationController.currentInstallationId().then((iid) => {
@@ -201,11 +572,18 @@ var RESTController = {
       if (token) {
         payload._SessionToken = token;
       }
-
-      var payloadString = JSON.stringify(payload);
-
-      return RESTController.ajax(method, url, payloadString);
+      if (authMode === 'headers') {
+        moveCredentialsToHeaders(request);
+      }
+      return intercept(CoreManager.get('REQUEST_INTERCEPTORS'), request);
+    }).then((intercepted) => {
+      request = intercepted;
+      return send(request, dedupe, authMode);
     }).then(null, function(response: { responseText: string }) {
+      if (response instanceof ParseError) {
+        // aborted requests are already rejected with a ParseError
+        return ParsePromise.error(response);
+      }
       // Transform the error into an instance of ParseError by trying to parse
       // the error string as JSON
       var error;
@@ -229,6 +607,10 @@ var RESTController = {
       }
 
       return ParsePromise.error(error);
+    }).then((result, status, xhr) => {
+      return respond({ result, status }, request, xhr);
+    }, (error) => {
+      return respond({ error }, request);
     });
   },
 
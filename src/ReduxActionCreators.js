@@ -28,6 +28,12 @@ export function generateActions(actions, namespace) {
 	return out;
 }
 
+export const ParseActions = generateActions([
+	'rehydrate',
+	'rollback',
+	'batch',
+], 'Parse');
+
 export const ObjectActions = generateActions([
 	'initializeState',
 	'removeState',
@@ -40,11 +46,14 @@ export const ObjectActions = generateActions([
 	'commitServerChanges',
 	'_clearAllState',
 	'_setExisted',
+	'setStatus',
+	'setConflicts',
 ], 'Parse/Object');
 
 var _functionActions = [
 	'setPending',
 	'unsetPending',
+	'setError',
 	'saveResult',
 	{name: 'appendResult', action: function(payload) {
 		var type = 'OPERATE_ON_ARRAY';
@@ -62,7 +71,19 @@ var _functionActions = [
 ];
 
 export const FunctionActions = generateActions(_functionActions, 'Parse/Cloud');
-export const QueryActions = generateActions(_functionActions, 'Parse/Query');
+export const QueryActions = generateActions([
+	..._functionActions,
+	'syncObject',
+	'removeObject',
+	'syncResult',
+	'removeResult',
+], 'Parse/Query');
+
+export const EventuallyActions = generateActions([
+	'setEntries',
+	'setProcessing',
+	'setError',
+], 'Parse/Eventually');
 
 export const UserActions = generateActions([
 	'set'
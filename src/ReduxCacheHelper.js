@@ -1,50 +1,78 @@
+import CoreManager from './CoreManager';
+import ParseError from './ParseError';
+import ParseObject from './ParseObject';
+import ParsePromise from './ParsePromise';
 import * as Store from './ReduxStore';
 
 export default function({Actions, namespace}) {
 	var Executed = {};
 
+	// aborted requests leave the cache as it was
+	function setError(options, err) {
+		if (err && err.code === ParseError.ABORTED)
+			Store.dispatch(Actions.unsetPending(options));
+		else
+			Store.dispatch(Actions.setError({...options, error: getErrorState(err)}));
+
+		return ParsePromise.error(err);
+	}
+
 	function refresh(cb, options) {
 		Store.dispatch(Actions.setPending(options));
 
 		var { limit } = options;
 
 		var done = cb().then(function(result) {
-			Store.dispatch(Actions.saveResult({...options, result}));
+			Store.dispatch(Actions.saveResult({...options, result: toRefs(result), fetchedAt: new Date()}));
 			if (limit)
 				Store.dispatch(Actions.estimateEndOfResults({...options, operation: 'appendResult', length: result.length}));
 			
-			return Parse.Promise.as(result);
+			return ParsePromise.as(result);
 		}).fail(function(err) {
-			Store.dispatch(Actions.unsetPending(options));
-
-			return Parse.Promise.error(err);
+			return setError(options, err);
 		});
 
 		Executed = setItemState(Executed, options, done);
 
-		return done;
+		// every caller waiting on the request gets its own promise, so the
+		// request is only aborted once all of them have been aborted
+		return done.then();
 	}
 
-	function init(cb, options) {
-		var State = Store.getState().Parse[namespace];
-		var { cache, pending } = getItemState(State, options);
+	// policy takes maxAge (in ms) and staleWhileRevalidate, falling back to
+	// the global cache policy
+	function init(cb, options, policy = {}) {
+		var State = Store.getParseState()[namespace];
+		var { cache, pending, fetchedAt } = getItemState(State, options);
 
+		// the request in flight may only fetch a page, so callers get the
+		// whole cache once it is done
 		if (pending)
-			return getItemState(Executed, options);
-
-		if (cache)
-			return Parse.Promise.as(cache);
-
-		return refresh(...arguments);
+			return getItemState(Executed, options).then(function() {
+				return ParsePromise.as(get(options));
+			});
+
+		if (cache) {
+			if (!isStale(fetchedAt, policy))
+				return ParsePromise.as(fromRefs(cache));
+
+			if (getPolicy(policy, 'staleWhileRevalidate')) {
+				// failures are stored with the cache
+				refresh(cb, options);
+				return ParsePromise.as(fromRefs(cache));
+			}
+		}
+
+		return refresh(cb, options);
 	}
 
 	// returns cached result if it has already been saved
 	// queries if no result exists
 	function get(options) {
-		var State = Store.getState().Parse[namespace];
+		var State = Store.getParseState()[namespace];
 		var state = getItemState(State, options);
 
-		return state.cache;
+		return fromRefs(state.cache);
 	}
 
 	function _operateOnArray(cb, options, operation) {
@@ -52,16 +80,18 @@ export default function({Actions, namespace}) {
 
 		var { limit } = options;
 
-		return cb().then(function(result) {
-			Store.dispatch(Actions[operation]({...options, result}));
+		var done = cb().then(function(result) {
+			Store.dispatch(Actions[operation]({...options, result: toRefs(result), fetchedAt: new Date()}));
 			Store.dispatch(Actions.estimateEndOfResults({...options, operation, length: result.length}));
 
-			return Parse.Promise.as(result);
+			return ParsePromise.as(result);
 		}).fail(function(err) {
-			Store.dispatch(Actions.unsetPending(options));
-
-			return Parse.Promise.error(err);
+			return setError(options, err);
 		});
+
+		Executed = setItemState(Executed, options, done);
+
+		return done.then();
 	}
 
 	function append() {
@@ -81,6 +111,90 @@ export default function({Actions, namespace}) {
 	}
 }
 
+const POLICY_KEYS = {
+	maxAge: 'CACHE_MAX_AGE',
+	staleWhileRevalidate: 'CACHE_STALE_WHILE_REVALIDATE'
+};
+
+function getPolicy(policy, key) {
+	if (policy && policy[key] !== undefined)
+		return policy[key];
+
+	return CoreManager.get(POLICY_KEYS[key]);
+}
+
+// caches without a fetchedAt time predate the policy, and count as stale
+export function isStale(fetchedAt, policy) {
+	var maxAge = getPolicy(policy, 'maxAge');
+	if (typeof maxAge !== 'number')
+		return false;
+
+	if (!fetchedAt)
+		return true;
+
+	return Date.now() - new Date(fetchedAt).getTime() > maxAge;
+}
+
+// Objects are cached as {__ref: true, className, id} references to the Object
+// slice, so that caches hold plain data and reflect changes made to the
+// objects anywhere. References are tagged, so that other data with a
+// className and an id (such as Cloud Code results) is never mistaken for one.
+// Objects whose state isn't keyed by their id (unsaved objects, or any object
+// without single instance objects) are cached as they are.
+function toRef(value) {
+	if (value instanceof ParseObject && value.id && value._getStateIdentifier() === value.id)
+		return {__ref: true, className: value.className, id: value.id};
+
+	return value;
+}
+
+export function isRef(value) {
+	return !!value &&
+		typeof value === 'object' &&
+		value.__ref === true &&
+		typeof value.className === 'string' &&
+		typeof value.id === 'string';
+}
+
+// Sync actions carry objects as plain rows, with their attributes as they are
+// when the action is created, so reducers never read the state of objects.
+// value is what caches hold for the object.
+export function toSyncRow(object) {
+	return {
+		className: object.className,
+		id: object.id,
+		attributes: object.attributes,
+		value: toRef(object)
+	};
+}
+
+// caches hold an object, an array of objects, or other data
+export function toRefs(value) {
+	return Array.isArray(value) ? value.map(toRef) : toRef(value);
+}
+
+export function fromRefs(value) {
+	var fromRef = function(item) {
+		return isRef(item) ? ParseObject._fromState(item.className, item.id) : item;
+	};
+
+	return Array.isArray(value) ? value.map(fromRef) : fromRef(value);
+}
+
+// errors are stored as plain data so the state stays serializable
+export function getErrorState(error) {
+	var code = error && error.code;
+	var message = error && error.message;
+	if (typeof message !== 'string')
+		message = String(error);
+
+	return {
+		code,
+		message,
+		timestamp: new Date()
+	};
+}
+
 export function getItemState(object, {name, data, grouping}) {
 	var next = object[name];
   if (!next)
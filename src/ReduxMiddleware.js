@@ -0,0 +1,86 @@
+import * as Cloud from './Cloud';
+import ParseObject from './ParseObject';
+import ParseQuery from './ParseQuery';
+import ParseUser from './ParseUser';
+
+// the cache operations an action can run
+const OPERATIONS = ['refresh', 'init', 'append', 'prepend'];
+
+function checkOperation(operation) {
+	if (OPERATIONS.indexOf(operation) < 0)
+		throw new Error('Unknown operation: ' + operation);
+}
+
+// queries are dispatched as Parse.Query instances, or as their JSON with a
+// className, which the JSON of a query leaves out
+function getQuery({query, className}) {
+	if (query instanceof ParseQuery)
+		return query;
+
+	if (typeof className !== 'string')
+		throw new Error(
+			'Queries dispatched as JSON need a className, or the Parse.Query itself.'
+		);
+
+	return ParseQuery.fromJSON(className, query || {});
+}
+
+// objects are dispatched as Parse.Objects, or as their className and id
+function getObject({object, className, id}) {
+	if (object instanceof ParseObject)
+		return object;
+
+	if (typeof className !== 'string')
+		throw new Error('Objects dispatched without a Parse.Object need a className.');
+
+	return ParseObject.fromJSON(id ? {className, objectId: id} : {className});
+}
+
+const Handlers = {
+	'Parse/Query/FIND'(payload) {
+		var { grouping, operation = 'refresh', policy } = payload;
+		checkOperation(operation);
+
+		var find = getQuery(payload).find;
+		if (operation === 'init')
+			return find.init(grouping, policy);
+
+		return find[operation](grouping);
+	},
+	'Parse/Object/SAVE'(payload) {
+		return getObject(payload).save(payload.attributes || null, payload.options);
+	},
+	'Parse/Object/DESTROY'(payload) {
+		return getObject(payload).destroy(payload.options);
+	},
+	'Parse/Cloud/RUN'({name, data, grouping, limit, operation = 'refresh', options}) {
+		checkOperation(operation);
+
+		return Cloud.run[operation](name, data, grouping, limit, options);
+	},
+	'Parse/User/LOG_IN'({username, password, options}) {
+		return ParseUser.logIn(username, password, options);
+	},
+	'Parse/User/LOG_OUT'() {
+		return ParseUser.logOut();
+	}
+};
+
+/**
+ * Creates Redux middleware that runs Parse operations dispatched as actions.
+ * Actions are passed on to the next middleware before their operation
+ * starts, and dispatching one returns the Parse.Promise of its operation.
+ * Queries are dispatched as {query, grouping}, with query a Parse.Query, or
+ * as {className, query, grouping}, with query the JSON of one.
+ */
+export default function createMiddleware() {
+	return () => next => action => {
+		var handler = action && Handlers[action.type];
+		if (!handler)
+			return next(action);
+
+		next(action);
+
+		return handler(action.payload || {});
+	};
+}
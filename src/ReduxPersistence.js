@@ -0,0 +1,380 @@
+import decode from './decode';
+import encode from './encode';
+import ParseACL from './ParseACL';
+import ParseObject from './ParseObject';
+import { opFromJSON, SetOp } from './ParseOp';
+import ParseRelation from './ParseRelation';
+import Storage from './Storage';
+
+import * as Store from './ReduxStore';
+import { ParseActions } from './ReduxActionCreators';
+
+export const SLICES = ['Object', 'Query', 'Cloud', 'User'];
+const STORAGE_PATH = 'reduxState';
+
+// unsaved objects are keyed by local ids, which are not stable across sessions
+const LOCAL_ID = /^local\d+$/;
+
+var unsubscribe = null;
+var timeout = null;
+var generation = 0;
+
+function checkSlices(slices) {
+	slices.forEach(function(slice) {
+		if (SLICES.indexOf(slice) < 0)
+			throw new Error('Unknown state slice: ' + slice);
+	});
+}
+
+// SetOps encode to their bare value, so they are tagged to be told apart from
+// server data
+function encodeOps(ops) {
+	var encoded = {};
+	for (var attr in ops) {
+		var op = ops[attr];
+		if (op instanceof SetOp)
+			encoded[attr] = {__op: 'Set', value: encode(op._value, false, true)};
+		else
+			encoded[attr] = op.toJSON();
+	}
+
+	return encoded;
+}
+
+function encodeObjectState(state) {
+	var status = state.status && {
+		...state.status,
+		saving: false,
+		fetching: false,
+		destroying: false
+	};
+
+	return {
+		serverData: encode(state.serverData, false, true),
+		pendingOps: state.pendingOps.map(encodeOps),
+		objectCache: state.objectCache,
+		existed: state.existed,
+		status: status && encode(status)
+	};
+}
+
+// requests in flight are not restored, so neither are their pending flags
+function encodeCache(value) {
+	var encoded = {};
+	for (var key in value) {
+		if (key === 'query')
+			encoded[key] = value[key];
+		else if (key !== 'pending')
+			encoded[key] = encode(value[key], false, true);
+	}
+	encoded.pending = false;
+
+	return encoded;
+}
+
+// entries that can't be encoded (such as caches holding unsaved objects) are
+// left out
+function encodeEntries(slice, encodeEntry) {
+	var encoded = {};
+	for (var name in slice) {
+		var entries = {};
+		for (var key in slice[name]) {
+			if (encodeEntry === encodeObjectState && LOCAL_ID.test(key))
+				continue;
+
+			try {
+				entries[key] = encodeEntry(slice[name][key]);
+			} catch (e) {}
+		}
+		encoded[name] = entries;
+	}
+
+	return encoded;
+}
+
+/**
+ * Converts slices of the Parse state into plain JSON, which can be restored
+ * with rehydrateState().
+ */
+export function serializeState(state, slices = SLICES) {
+	checkSlices(slices);
+
+	var serialized = {};
+	slices.forEach(function(slice) {
+		if (!state[slice])
+			return;
+
+		switch (slice) {
+			case 'Object':
+				serialized[slice] = encodeEntries(state[slice], encodeObjectState);
+				break;
+			case 'User':
+				serialized[slice] = encode(state[slice], false, true);
+				break;
+			default:
+				serialized[slice] = encodeEntries(state[slice], encodeCache);
+		}
+	});
+
+	return serialized;
+}
+
+function decodeAttribute(className, id, attr, value) {
+	if (attr === 'ACL' && value)
+		return new ParseACL(value);
+
+	var decoded = decode(value);
+	if (decoded instanceof ParseRelation)
+		decoded._ensureParentAndKey(ParseObject._fromState(className, id), attr);
+
+	return decoded;
+}
+
+function decodeObjectState(className, id, json) {
+	var serverData = {};
+	for (var attr in json.serverData)
+		serverData[attr] = decodeAttribute(className, id, attr, json.serverData[attr]);
+
+	var pendingOps = json.pendingOps.map(function(encoded) {
+		var ops = {};
+		for (var attr in encoded) {
+			var op;
+			if (encoded[attr].__op === 'Set')
+				op = new SetOp(decodeAttribute(className, id, attr, encoded[attr].value));
+			else
+				op = opFromJSON(encoded[attr]);
+
+			if (op)
+				ops[attr] = op;
+		}
+
+		return ops;
+	});
+
+	var state = {
+		serverData,
+		pendingOps,
+		objectCache: json.objectCache,
+		existed: json.existed
+	};
+	if (json.status)
+		state.status = decode(json.status);
+
+	return state;
+}
+
+function decodeCache(json) {
+	var value = {};
+	for (var key in json)
+		value[key] = key === 'query' ? json[key] : decode(json[key]);
+
+	return value;
+}
+
+// entries already in the state are newer than the persisted ones
+function mergeSlice(slice, persisted, current) {
+	if (slice === 'User')
+		return {...persisted, ...current};
+
+	var merged = {...persisted};
+	for (var name in current)
+		merged[name] = {...persisted[name], ...current[name]};
+
+	return merged;
+}
+
+/**
+ * Restores slices serialized with serializeState() into the store. Objects
+ * and caches already in the state are kept over the restored ones.
+ */
+export function rehydrateState(serialized, slices = SLICES) {
+	checkSlices(slices);
+
+	// decoding pointers initializes object state, so the current state is
+	// read first
+	var current = Store.getParseState();
+
+	var restored = {};
+	slices.forEach(function(slice) {
+		var json = serialized[slice];
+		if (!json)
+			return;
+
+		var decoded = {};
+		if (slice === 'User') {
+			decoded = decode(json);
+		} else {
+			for (var name in json) {
+				decoded[name] = {};
+				for (var key in json[name]) {
+					decoded[name][key] = slice === 'Object' ?
+						decodeObjectState(name, key, json[name][key]) :
+						decodeCache(json[name][key]);
+				}
+			}
+		}
+
+		restored[slice] = mergeSlice(slice, decoded, current[slice]);
+	});
+
+	Store.dispatch(ParseActions.rehydrate(restored));
+}
+
+function write(slices, last) {
+	timeout = null;
+
+	var state = Store.getParseState();
+	var changed = slices.some(function(slice) {
+		return state[slice] !== last[slice];
+	});
+	if (!changed)
+		return;
+
+	slices.forEach(function(slice) {
+		last[slice] = state[slice];
+	});
+
+	var path = Storage.generatePath(STORAGE_PATH);
+	Storage.setItemAsync(path, JSON.stringify(serializeState(state, slices)));
+}
+
+// snapshots are sent to other processes, such as the browsers of server
+// rendered pages, which don't share the current user
+const SNAPSHOT_SLICES = ['Object', 'Query', 'Cloud'];
+
+// the state ids of objects that don't share their state end with a count
+const COPY_ID = /^(.+)_(\d+)$/;
+
+function toRefById(value) {
+	if (value instanceof ParseObject && value.id)
+		return {__ref: true, className: value.className, id: value.id};
+
+	return value;
+}
+
+// Without single instance objects, the state of each object is keyed by its
+// id and a count, and caches hold the objects themselves, so stores with
+// single instance objects could read neither. Snapshots key objects by id
+// instead, keeping the latest copy of each, and cache them as references.
+function keyById(state) {
+	var objects = {};
+	for (var className in state.Object) {
+		var entries = {};
+		var counts = {};
+		for (var key in state.Object[className]) {
+			var match = COPY_ID.exec(key);
+			if (!match)
+				continue;
+
+			var id = match[1];
+			var count = Number(match[2]);
+			if (!(id in counts) || count > counts[id]) {
+				counts[id] = count;
+				entries[id] = state.Object[className][key];
+			}
+		}
+		objects[className] = entries;
+	}
+
+	var refs = function(slice) {
+		var keyed = {};
+		for (var name in slice) {
+			keyed[name] = {};
+			for (var key in slice[name]) {
+				var value = slice[name][key];
+				if ('cache' in value) {
+					var cache = Array.isArray(value.cache) ?
+						value.cache.map(toRefById) :
+						toRefById(value.cache);
+					value = {...value, cache};
+				}
+				keyed[name][key] = value;
+			}
+		}
+
+		return keyed;
+	};
+
+	return {...state, Object: objects, Query: refs(state.Query), Cloud: refs(state.Cloud)};
+}
+
+/**
+ * Returns a JSON-safe snapshot of the objects and caches in the store, which
+ * can seed another store with hydrate(). The session tokens of users are left
+ * out.
+ */
+export function dehydrate() {
+	var state = Store.getParseState();
+	if (!ParseObject._isSingleInstance())
+		state = keyById(state);
+
+	var snapshot = serializeState(state, SNAPSHOT_SLICES);
+
+	var users = snapshot.Object._User;
+	for (var id in users)
+		delete users[id].serverData.sessionToken;
+
+	return snapshot;
+}
+
+/**
+ * Seeds the store with a snapshot returned by dehydrate(). Objects and caches
+ * already in the state are kept over the ones in the snapshot.
+ */
+export function hydrate(snapshot) {
+	rehydrateState(snapshot || {}, SNAPSHOT_SLICES);
+}
+
+/**
+ * Restores the persisted state through the active storage controller, then
+ * writes the state back whenever it changes, at most once every throttleMs.
+ * Returns a promise resolved once the state has been restored.
+ */
+export function enable({slices = SLICES, throttleMs = 1000} = {}) {
+	checkSlices(slices);
+	disable();
+
+	var path = Storage.generatePath(STORAGE_PATH);
+	var current = generation;
+
+	return Storage.getItemAsync(path).then(function(stored) {
+		// disabled while the stored state was loading
+		if (current !== generation)
+			return;
+
+		var serialized = null;
+		try {
+			serialized = stored && JSON.parse(stored);
+		} catch (e) {}
+
+		if (serialized)
+			rehydrateState(serialized, slices);
+
+		var last = {};
+		slices.forEach(function(slice) {
+			last[slice] = Store.getParseState()[slice];
+		});
+
+		unsubscribe = Store.subscribe(function() {
+			if (timeout === null)
+				timeout = setTimeout(function() {
+					write(slices, last);
+				}, throttleMs);
+		});
+	});
+}
+
+/**
+ * Stops writing the state to storage. The stored state is kept.
+ */
+export function disable() {
+	generation++;
+
+	if (unsubscribe)
+		unsubscribe();
+	unsubscribe = null;
+
+	if (timeout !== null)
+		clearTimeout(timeout);
+	timeout = null;
+}
@@ -1,9 +1,18 @@
 import encode from './encode';
+import { estimateStateAttributes } from './ObjectState';
 import ParseFile from './ParseFile';
 import ParseObject from './ParseObject';
 import ParseRelation from './ParseRelation';
+import matchesQuery, { compareObjects } from './matchesQuery';
 import { combineReducers } from 'redux';
-import { getItemState, setItemState } from './ReduxCacheHelper';
+import { getItemState, isRef, setItemState } from './ReduxCacheHelper';
+
+// the key recording when each kind of request last completed successfully
+const STATUS_TIMESTAMPS = {
+	saving: 'savedAt',
+	fetching: 'fetchedAt',
+	destroying: 'destroyedAt'
+};
 
 const Objects = {
 	INITIALIZE_STATE(objectState, {className, id, initial}) {
@@ -149,6 +158,34 @@ const Objects = {
 
 		myObject.existed = existed;
 
+		return objectState;
+	},
+	SET_STATUS(objectState, {className, id, status, value, time, error}) {
+		objectState = {...objectState};
+		objectState[className] = {...objectState[className]};
+		var myObject = objectState[className][id] = {...objectState[className][id]};
+		var current = myObject.status = {...myObject.status};
+
+		current[status] = value;
+		if (time) {
+			current[STATUS_TIMESTAMPS[status]] = time;
+			delete current.error;
+		}
+		if (error)
+			current.error = error;
+
+		return objectState;
+	},
+	SET_CONFLICTS(objectState, {className, id, conflicts}) {
+		objectState = {...objectState};
+		objectState[className] = {...objectState[className]};
+		var myObject = objectState[className][id] = {...objectState[className][id]};
+
+		if (conflicts.length)
+			myObject.conflicts = conflicts;
+		else
+			delete myObject.conflicts;
+
 		return objectState;
 	}
 }
@@ -174,11 +211,22 @@ const Cloud = {
 
 		return setItemState(state, payload, value);
 	},
+	SET_ERROR(state, payload) {
+		var value = {...getItemState(state, payload)};
+		value.pending = false;
+		value.error = payload.error;
+
+		return setItemState(state, payload, value);
+	},
 	SAVE_RESULT(state, payload) {
 		var value = {
 			cache: payload.result,
 			pending: false
 		};
+		if (payload.query)
+			value.query = payload.query;
+		if (payload.fetchedAt)
+			value.fetchedAt = payload.fetchedAt;
 
 		return setItemState(state, payload, value);
 	},
@@ -196,10 +244,14 @@ const Cloud = {
 
 		cache[operation](...result);
 
-		value = {
-			cache,
-			pending: false
-		};
+		value = {...value};
+		value.cache = cache;
+		value.pending = false;
+		delete value.error;
+		if (payload.query)
+			value.query = payload.query;
+		if (payload.fetchedAt)
+			value.fetchedAt = payload.fetchedAt;
 
 		return setItemState(state, payload, value);
 	},
@@ -233,6 +285,23 @@ const Cloud = {
 	}
 }
 
+const Eventually = {
+	SET_ENTRIES(state, {entries}) {
+		return {...state, entries};
+	},
+	SET_PROCESSING(state, {processing}) {
+		state = {...state, processing};
+		// errors are kept until the next attempt
+		if (processing)
+			delete state.error;
+
+		return state;
+	},
+	SET_ERROR(state, {error}) {
+		return {...state, error};
+	}
+}
+
 const User = {
 	SET(state, payload) {
 		state = {...state};
@@ -263,20 +332,206 @@ export function generateReducers(_reducers, _namespace, defaultState) {
 function generateParseReducers(_reducers) {
 	var reducers = generateReducers(_reducers, 'Parse', {});
 
-	return function(state = {}, action) {
+	return function parseReducer(state = {}, action) {
+		// actions dispatched together by a batch
+		if (action.type == 'Parse/BATCH')
+			return action.payload.reduce(parseReducer, state);
+
 		// clear state if user logs out
 		if (action.type == 'Parse/User/SET' && (state.User && state.User.current) && action.payload === null)
 			return combineReducers(reducers)({}, action);
+
+		// restore persisted slices
+		if (action.type == 'Parse/REHYDRATE')
+			state = {...state, ...action.payload};
+
+		// cached objects are compared through their attributes in the Object slice
+		if (action.type == 'Parse/Query/SYNC_OBJECT')
+			return {...state, Query: syncObject(state.Query || {}, action.payload, state.Object || {})};
+		if (action.type == 'Parse/Query/SYNC_RESULT')
+			return {...state, Query: syncResult(state.Query || {}, action.payload, state.Object || {})};
+
+		if (action.type == 'Parse/ROLLBACK')
+			return rollback(state, action.payload);
 		
 		return combineReducers(reducers)(state, action);
 	}
 }
 
-const Query = Cloud;
+// cached objects are read from the Object slice given to the reducer, never
+// through the objects themselves, which would read the store
+function toRow(item, objectState) {
+	var className, id, stateId;
+	if (isRef(item)) {
+		({ className, id } = item);
+		stateId = id;
+	} else if (item instanceof ParseObject) {
+		({ className, id } = item);
+		stateId = item._getStateIdentifier();
+	} else {
+		return item;
+	}
+
+	var state = objectState[className] && objectState[className][stateId];
+	return {className, id, attributes: estimateStateAttributes(state, className, stateId)};
+}
+
+// Moves an object, given as a row made by toSyncRow(), into, within or out of
+// a cached query result, based on the query the cache was built from, unless
+// whether the object matches is already known. Rows that would fall on pages
+// that have not been fetched are left out.
+function syncCache(value, object, objectState, matches) {
+	var { cache, query, appendEnd, prependEnd } = value;
+
+	// unsaved objects are cached as they are
+	var index = -1;
+	for (var i = 0; i < cache.length; i++) {
+		if (object.id ? cache[i] && cache[i].id === object.id : cache[i] === object.value)
+			index = i;
+	}
+
+	var rest = [...cache];
+	if (index >= 0)
+		rest.splice(index, 1);
+
+	if (matches === undefined) {
+		try {
+			matches = matchesQuery(object, query.where || {});
+		} catch (e) {
+			// constraints that can't be evaluated locally leave the cache as it is
+			return cache;
+		}
+	}
+	if (!matches)
+		return index >= 0 ? rest : cache;
+
+	var position = index >= 0 ? index : rest.length;
+	if (query.order) {
+		var order = query.order.split(',');
+		position = rest.length;
+		for (var i = 0; i < rest.length; i++) {
+			if (compareObjects(object, toRow(rest[i], objectState), order) < 0) {
+				position = i;
+				break;
+			}
+		}
+	}
+
+	// an object that moved past either end of the cache may belong among rows
+	// that have not been fetched
+	var pastEnd = position === rest.length && appendEnd === false;
+	var pastStart = position === 0 && prependEnd === false && rest.length > 0;
+	if ((pastEnd || pastStart) && position !== index)
+		return index >= 0 ? rest : cache;
+
+	rest.splice(position, 0, object.value);
+
+	// keep a single page of results at its original size
+	if (index < 0 && cache.length === query.limit && appendEnd === false)
+		rest.pop();
+
+	return rest;
+}
+
+// caches are synced by their keys (groupings or queries), or all of them
+function syncObject(state, {className, object, keys}, objectState) {
+	var entries = state[className];
+	if (!entries)
+		return state;
+
+	var next = {...entries};
+	(keys || Object.keys(entries)).forEach(function(key) {
+		var value = entries[key];
+		if (!value || !value.cache || !value.query)
+			return;
+
+		var cache = syncCache(value, object, objectState);
+		if (cache !== value.cache)
+			next[key] = {...value, cache};
+	});
+
+	state = {...state};
+	state[className] = next;
+	return state;
+}
+
+// the server has already matched objects against the query of a live
+// subscription
+function syncResult(state, {name, data, grouping, object}, objectState) {
+	var value = getItemState(state, {name, data, grouping});
+	if (!value.cache || !value.query)
+		return state;
+
+	var cache = syncCache(value, object, objectState, true);
+	if (cache === value.cache)
+		return state;
+
+	return setItemState(state, {name, data, grouping}, {...value, cache});
+}
+
+// Undoes an optimistic save or destroy: the changes that failed to save are
+// discarded, and cached results are restored unless they have changed since
+function rollback(state, {className, id, discardPending, entries}) {
+	state = {...state};
+
+	var objects = state.Object && state.Object[className];
+	if (discardPending && objects && objects[id])
+		state.Object = Objects.POP_PENDING_STATE(state.Object, {className, id});
+
+	var caches = state.Query && state.Query[className];
+	if (caches) {
+		var next = {...caches};
+		entries.forEach(function({key, previous, optimistic}) {
+			var value = next[key];
+			if (value && value.cache === optimistic)
+				next[key] = {...value, cache: previous};
+		});
+		state.Query = {...state.Query};
+		state.Query[className] = next;
+	}
+
+	return state;
+}
+
+const Query = {
+	...Cloud,
+	REMOVE_RESULT(state, {name, data, grouping, id}) {
+		var value = getItemState(state, {name, data, grouping});
+		if (!value.cache)
+			return state;
+
+		var cache = value.cache.filter((row) => !row || row.id !== id);
+		if (cache.length === value.cache.length)
+			return state;
+
+		return setItemState(state, {name, data, grouping}, {...value, cache});
+	},
+	REMOVE_OBJECT(state, {className, id, keys}) {
+		var entries = state[className];
+		if (!entries)
+			return state;
+
+		var next = {...entries};
+		(keys || Object.keys(entries)).forEach(function(key) {
+			var value = entries[key];
+			if (!value || !value.cache)
+				return;
+
+			var cache = value.cache.filter((row) => !row || row.id !== id);
+			if (cache.length !== value.cache.length)
+				next[key] = {...value, cache};
+		});
+
+		state = {...state};
+		state[className] = next;
+		return state;
+	}
+};
 
 export default generateParseReducers({
 	'Object': Objects,
 	Cloud,
 	Query,
+	Eventually,
 	User
 });
\ No newline at end of file
@@ -0,0 +1,149 @@
+import { estimateStateAttributes } from './ObjectState';
+import ParseObject from './ParseObject';
+import { getItemState, isRef } from './ReduxCacheHelper';
+import * as Store from './ReduxStore';
+
+function getParseState(state) {
+	var parseState = Store.selectParseState(state);
+	if (!parseState)
+		throw new Error('The Parse state was not found. Name the Parse reducer Parse at the top level of the state, or pass a selector to Parse.setStore().');
+
+	return parseState;
+}
+
+function sameInputs(a, b) {
+	if (a.length !== b.length)
+		return false;
+
+	for (var i = 0; i < a.length; i++)
+		if (a[i] !== b[i])
+			return false;
+
+	return true;
+}
+
+// Results are kept for one reference of a state slice. When the slice
+// changes, the results whose inputs did not change are carried over as they
+// are read, and the others are dropped.
+function createMemo() {
+	var slice = null;
+	var current = {};
+	var previous = {};
+
+	return function(nextSlice, key, inputs, compute) {
+		if (nextSlice !== slice) {
+			slice = nextSlice;
+			previous = current;
+			current = {};
+		}
+
+		var last = current[key] || previous[key];
+		if (!last || !sameInputs(last.inputs, inputs))
+			last = {inputs, result: compute()};
+		current[key] = last;
+
+		return last.result;
+	}
+}
+
+var objectMemo = createMemo();
+var queryMemo = createMemo();
+var cloudMemo = createMemo();
+
+function selectRecord(parseState, className, id) {
+	var objects = parseState.Object[className];
+	var record = objects && objects[id];
+	if (!record)
+		return undefined;
+
+	return objectMemo(parseState.Object, className + ':' + id, [record], function() {
+		return {
+			className,
+			id,
+			attributes: estimateStateAttributes(record, className, id),
+			status: record.status || {}
+		};
+	});
+}
+
+// objects held by caches are read from the Object slice, so that they reflect
+// the state passed in
+function selectValue(parseState, value) {
+	if (isRef(value))
+		return selectRecord(parseState, value.className, value.id);
+	if (value instanceof ParseObject)
+		return selectRecord(parseState, value.className, value._getStateIdentifier());
+
+	return value;
+}
+
+/**
+ * Returns a snapshot of an object in the given state: its className, id,
+ * estimated attributes (server data with unsaved changes applied) and status.
+ * The same snapshot is returned until the object's state changes.
+ */
+export function selectObject(state, className, id) {
+	return selectRecord(getParseState(state), className, id);
+}
+
+/**
+ * Returns the cached result of a query in the given state as an array of
+ * object snapshots, or undefined if there is no cache. The same array is
+ * returned until the result or one of its objects changes.
+ */
+export function selectQueryResult(state, query, grouping) {
+	var parseState = getParseState(state);
+	var options = {name: query.className, data: query, grouping};
+	var { cache } = getItemState(parseState.Query, options);
+	if (!cache)
+		return undefined;
+
+	var result = cache.map(function(object) {
+		return selectValue(parseState, object);
+	}).filter(function(object) {
+		return object !== undefined;
+	});
+
+	var key = JSON.stringify([query.className, grouping || JSON.stringify(query)]);
+	return queryMemo(parseState.Query, key, result, function() {
+		return result;
+	});
+}
+
+/**
+ * Returns the cached result of a Cloud Code function in the given state, or
+ * undefined if there is no cache. Objects in the result, or in an array
+ * result, are returned as snapshots.
+ */
+export function selectCloudResult(state, name, data, grouping) {
+	var parseState = getParseState(state);
+	var { cache } = getItemState(parseState.Cloud, {name, data, grouping});
+	if (cache === undefined)
+		return undefined;
+
+	var inputs = [cache];
+	if (Array.isArray(cache))
+		inputs = inputs.concat(cache.map(function(value) {
+			return selectValue(parseState, value);
+		}));
+	else
+		inputs.push(selectValue(parseState, cache));
+
+	var key = JSON.stringify([name, grouping || JSON.stringify(data)]);
+	return cloudMemo(parseState.Cloud, key, inputs, function() {
+		return Array.isArray(cache) ? inputs.slice(1) : inputs[1];
+	});
+}
+
+/**
+ * Returns a snapshot of the current user in the given state, or undefined if
+ * no user is logged in.
+ */
+export function selectCurrentUser(state) {
+	var parseState = getParseState(state);
+	var current = parseState.User && parseState.User.current;
+	if (!current)
+		return undefined;
+
+	return selectRecord(parseState, '_User', current.id);
+}
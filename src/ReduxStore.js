@@ -1,9 +1,23 @@
 import { createStore, combineReducers } from 'redux';
 import parseReducer from './ReduxReducers';
+import { ParseActions } from './ReduxActionCreators';
 
 var Store = null;
 
-export function set(_Store) {
+// Actions dispatched during a batch are applied to a copy of the Parse state,
+// which is read until they are dispatched together
+var batchDepth = 0;
+var batchActions = [];
+var batchState = null;
+
+function defaultSelector(state) {
+	return state.Parse;
+}
+
+// reads the Parse state out of the store's state
+var selector = defaultSelector;
+
+export function set(_Store, {selector: _selector} = {}) {
 	if (Store)
 		throw new Error("Store already set! Make sure to initialize the store before it is retrieved.");
 	
@@ -14,6 +28,7 @@ export function set(_Store) {
 	}
 
 	Store = _Store;
+	selector = _selector || defaultSelector;
 }
 
 export function getState() {
@@ -22,8 +37,57 @@ export function getState() {
 	return Store.getState(...arguments);
 }
 
-export function dispatch() {
+// the Parse state of a state of the store
+export function selectParseState(state) {
+	return state ? selector(state) : undefined;
+}
+
+export function getParseState() {
+	if (batchDepth)
+		return batchState;
+	return selectParseState(getState());
+}
+
+export function dispatch(action) {
+	if (batchDepth) {
+		batchState = parseReducer(batchState, action);
+		batchActions.push(action);
+		return action;
+	}
+
 	if (!Store)
 		set();
 	return Store.dispatch(...arguments);
+}
+
+// Runs fn, dispatching the Parse actions it dispatches synchronously as a
+// single Parse/BATCH action, so that subscribers are notified once
+export function batch(fn) {
+	if (!batchDepth) {
+		batchState = getParseState();
+		batchActions = [];
+	}
+
+	batchDepth++;
+	try {
+		return fn();
+	} finally {
+		batchDepth--;
+		if (!batchDepth) {
+			var actions = batchActions;
+			batchActions = [];
+			batchState = null;
+
+			if (actions.length == 1)
+				dispatch(actions[0]);
+			else if (actions.length)
+				dispatch(ParseActions.batch(actions));
+		}
+	}
+}
+
+export function subscribe() {
+	if (!Store)
+		set();
+	return Store.subscribe(...arguments);
 }
\ No newline at end of file
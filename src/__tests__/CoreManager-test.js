@@ -14,6 +14,7 @@ var CoreManager = require('../CoreManager');
 describe('CoreManager', () => {
   it('is initialized with default values', () => {
     expect(CoreManager.get('SERVER_URL')).toBe('https://api.parse.com/1');
+    expect(CoreManager.get('HISTORY_LIMIT')).toBe(0);
   });
 
   it('pulls the version string from package.json', () => {
@@ -287,4 +288,17 @@ describe('CoreManager', () => {
     CoreManager.setStorageController(controller);
     expect(CoreManager.getStorageController()).toBe(controller);
   });
+
+  it('requires WebSocketController to be a constructor', () => {
+    expect(CoreManager.setWebSocketController.bind(null, {})).toThrow(
+      'A WebSocketController must be a constructor'
+    );
+  });
+
+  it('can set and get WebSocketController', () => {
+    var controller = function() {};
+
+    CoreManager.setWebSocketController(controller);
+    expect(CoreManager.getWebSocketController()).toBe(controller);
+  });
 });
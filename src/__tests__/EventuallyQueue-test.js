@@ -0,0 +1,184 @@
+/**
+ * Copyright (c) 2015-present, Parse, LLC.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+jest.dontMock('../arrayContainsObject');
+jest.dontMock('../canBeSerialized');
+jest.dontMock('../CoreManager');
+jest.dontMock('../decode');
+jest.dontMock('../encode');
+jest.dontMock('../equals');
+jest.dontMock('../escape');
+jest.dontMock('../EventuallyQueue');
+jest.dontMock('../matchesQuery');
+jest.dontMock('../ObjectState');
+jest.dontMock('../parseDate');
+jest.dontMock('../ParseACL');
+jest.dontMock('../ParseError');
+jest.dontMock('../ParseFile');
+jest.dontMock('../ParseGeoPoint');
+jest.dontMock('../ParseObject');
+jest.dontMock('../ParseOp');
+jest.dontMock('../ParsePromise');
+jest.dontMock('../Storage');
+jest.dontMock('../StorageController.default');
+jest.dontMock('../TaskQueue');
+jest.dontMock('../unique');
+jest.dontMock('../unsavedChildren');
+
+jest.dontMock('redux');
+jest.dontMock('../ReduxActionCreators');
+jest.dontMock('../ReduxCacheHelper');
+jest.dontMock('../ReduxReducers');
+jest.dontMock('../ReduxStore');
+
+var CoreManager = require('../CoreManager');
+var EventuallyQueue = require('../EventuallyQueue');
+var ParseError = require('../ParseError');
+var ParseObject = require('../ParseObject');
+var ParsePromise = require('../ParsePromise');
+var Storage = require('../Storage');
+var Store = require('../ReduxStore');
+
+CoreManager.set('APPLICATION_ID', 'A');
+CoreManager.set('JAVASCRIPT_KEY', 'B');
+CoreManager.set('EVENTUALLY_RETRY_INTERVAL', null);
+ParseObject.enableSingleInstance();
+
+var requests;
+var responses;
+
+function offline() {
+  return ParsePromise.error(new ParseError(ParseError.CONNECTION_FAILED, 'offline'));
+}
+
+function storedEntries() {
+  return JSON.parse(Storage.getItem(Storage.generatePath('eventuallyQueue')));
+}
+
+describe('EventuallyQueue', () => {
+  beforeEach(() => {
+    requests = [];
+    responses = [];
+    Storage._clear();
+    EventuallyQueue.clear();
+    CoreManager.setRESTController({
+      request(method, path, body) {
+        requests.push([method, path, body]);
+        // the server can't be reached without a queued response
+        var response = responses.length ? responses.shift() : offline;
+        return typeof response === 'function' ? response() : response;
+      },
+      ajax() {}
+    });
+  });
+
+  it('queues saves until the server can be reached', () => {
+    var item = new ParseObject('Item');
+    item.set('score', 1);
+
+    var saved = false;
+    item.saveEventually().then(() => {
+      saved = true;
+    });
+    item.set('name', 'later');
+
+    expect(saved).toBe(false);
+    expect(requests).toEqual([['POST', 'classes/Item', { score: 1 }]]);
+    expect(storedEntries().length).toBe(1);
+    expect(Store.getState().Parse.Eventually.entries.length).toBe(1);
+    expect(Store.getState().Parse.Eventually.error.code).toBe(100);
+
+    responses.push(ParsePromise.as({ objectId: 'I1', createdAt: '2015-01-01T00:00:00.000Z' }, 201));
+    EventuallyQueue.process();
+
+    expect(saved).toBe(true);
+    expect(item.id).toBe('I1');
+    expect(item.dirtyKeys()).toEqual(['name']);
+    expect(storedEntries()).toEqual([]);
+    expect(Store.getState().Parse.Eventually.error).toBe(undefined);
+  });
+
+  it('uses the ids of objects created earlier in the queue', () => {
+    var item = new ParseObject('Item');
+    item.set('score', 1);
+    item.saveEventually();
+    item.set('score', 2);
+    item.saveEventually();
+    item.destroyEventually();
+
+    responses.push(
+      ParsePromise.as({ objectId: 'I1', createdAt: '2015-01-01T00:00:00.000Z' }, 201),
+      ParsePromise.as({ updatedAt: '2015-01-02T00:00:00.000Z' }, 200),
+      ParsePromise.as({}, 200)
+    );
+    requests = [];
+    EventuallyQueue.process();
+
+    expect(requests).toEqual([
+      ['POST', 'classes/Item', { score: 1 }],
+      ['PUT', 'classes/Item/I1', { score: 2 }],
+      ['DELETE', 'classes/Item/I1', {}]
+    ]);
+    expect(storedEntries()).toEqual([]);
+  });
+
+  it('keeps changes that the server refuses', () => {
+    var item = ParseObject.fromJSON({ className: 'Item', objectId: 'I2' });
+    item.set('score', 1);
+    responses.push(ParsePromise.error(new ParseError(142, 'invalid')));
+
+    var error = null;
+    item.saveEventually().then(null, (e) => {
+      error = e;
+    });
+    expect(error.code).toBe(142);
+    expect(item.dirtyKeys()).toEqual(['score']);
+    expect(item.getStatus().error.code).toBe(142);
+    expect(storedEntries()).toEqual([]);
+  });
+
+  it('replays entries stored in an earlier session', () => {
+    Storage.setItem(Storage.generatePath('eventuallyQueue'), JSON.stringify([{
+      uuid: 'e1',
+      action: 'save',
+      className: 'Item',
+      id: 'I3',
+      localId: null,
+      body: { score: 3 },
+      options: {},
+      createdAt: '2015-01-01T00:00:00.000Z'
+    }]));
+    responses.push(ParsePromise.as({ updatedAt: '2015-01-02T00:00:00.000Z' }, 200));
+    EventuallyQueue.process();
+
+    expect(requests).toEqual([['PUT', 'classes/Item/I3', { score: 3 }]]);
+    expect(storedEntries()).toEqual([]);
+  });
+
+  it('does not queue objects with unsaved children', () => {
+    var item = new ParseObject('Item');
+    item.set('child', new ParseObject('Child'));
+    var error = null;
+    item.saveEventually().then(null, (e) => {
+      error = e;
+    });
+    expect(error.message).toBe('Objects with unsaved children cannot be saved eventually.');
+    expect(requests).toEqual([]);
+  });
+
+  it('does not destroy objects that were never saved', () => {
+    var item = new ParseObject('Item');
+    var destroyed = false;
+    item.destroyEventually().then(() => {
+      destroyed = true;
+    });
+    expect(destroyed).toBe(true);
+    expect(requests).toEqual([]);
+  });
+});
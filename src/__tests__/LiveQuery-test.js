@@ -0,0 +1,203 @@
+/**
+ * Copyright (c) 2015-present, Parse, LLC.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+jest.dontMock('../arrayContainsObject');
+jest.dontMock('../CoreManager');
+jest.dontMock('../decode');
+jest.dontMock('../encode');
+jest.dontMock('../equals');
+jest.dontMock('../escape');
+jest.dontMock('../LiveQuery');
+jest.dontMock('../matchesQuery');
+jest.dontMock('../ObjectState');
+jest.dontMock('../parseDate');
+jest.dontMock('../ParseError');
+jest.dontMock('../ParseObject');
+jest.dontMock('../ParseOp');
+jest.dontMock('../ParsePromise');
+jest.dontMock('../ParseQuery');
+jest.dontMock('../TaskQueue');
+jest.dontMock('../unique');
+
+jest.dontMock('redux');
+jest.dontMock('../ReduxActionCreators');
+jest.dontMock('../ReduxCacheHelper');
+jest.dontMock('../ReduxReducers');
+jest.dontMock('../ReduxStore');
+
+var CoreManager = require('../CoreManager');
+var ParseObject = require('../ParseObject');
+var ParsePromise = require('../ParsePromise');
+var ParseQuery = require('../ParseQuery');
+var Store = require('../ReduxStore');
+
+CoreManager.set('APPLICATION_ID', 'A');
+CoreManager.set('JAVASCRIPT_KEY', 'B');
+ParseObject.enableSingleInstance();
+
+// stands in for a LiveQuery server, recording what the client sends
+var sockets = [];
+function MockSocket(url) {
+  this.url = url;
+  this.sent = [];
+  this.closed = false;
+  sockets.push(this);
+}
+MockSocket.prototype.send = function(data) {
+  this.sent.push(JSON.parse(data));
+};
+MockSocket.prototype.close = function() {
+  this.closed = true;
+};
+MockSocket.prototype.receive = function(message) {
+  this.onmessage({ data: JSON.stringify(message) });
+};
+
+function lastSocket() {
+  return sockets[sockets.length - 1];
+}
+
+// opens the last socket, and answers its connect request
+function connect() {
+  var socket = lastSocket();
+  socket.onopen();
+  socket.receive({ op: 'connected', clientId: 1 });
+  return socket;
+}
+
+function getCache(grouping) {
+  return Store.getState().Parse.Query.Item[grouping].cache.map((row) => row.id);
+}
+
+describe('LiveQuery', () => {
+  beforeEach(() => {
+    sockets = [];
+    CoreManager.setWebSocketController(MockSocket);
+    CoreManager.setUserController({
+      ...CoreManager.getUserController(),
+      currentUserAsync() {
+        return ParsePromise.as({
+          getSessionToken() {
+            return 'r:123';
+          }
+        });
+      }
+    });
+  });
+
+  it('connects with the session token of the current user', () => {
+    var query = new ParseQuery('Item');
+    query.greaterThan('score', 0);
+    query.select('score');
+    var subscription = query.subscribe();
+
+    var socket = lastSocket();
+    expect(socket.url).toBe('wss://api.parse.com/1');
+    connect();
+    expect(socket.sent).toEqual([{
+      op: 'connect',
+      applicationId: 'A',
+      javascriptKey: 'B',
+      sessionToken: 'r:123'
+    }, {
+      op: 'subscribe',
+      requestId: socket.sent[1].requestId,
+      query: {
+        className: 'Item',
+        where: { score: { $gt: 0 } },
+        fields: ['score']
+      }
+    }]);
+
+    subscription.unsubscribe();
+    expect(socket.sent[2]).toEqual({
+      op: 'unsubscribe',
+      requestId: socket.sent[1].requestId
+    });
+    expect(socket.closed).toBe(true);
+  });
+
+  it('keeps the cached result up to date', () => {
+    CoreManager.setQueryController({
+      find() {
+        return ParsePromise.as({
+          results: [{ objectId: 'I1', score: 3 }, { objectId: 'I2', score: 1 }]
+        });
+      }
+    });
+    var query = new ParseQuery('Item');
+    query.descending('score');
+    query.find.refresh('live');
+
+    var subscription = query.subscribe('live');
+    var socket = connect();
+    var requestId = socket.sent[1].requestId;
+
+    socket.receive({
+      op: 'create',
+      requestId,
+      object: { className: 'Item', objectId: 'I3', score: 2 }
+    });
+    expect(getCache('live')).toEqual(['I1', 'I3', 'I2']);
+
+    socket.receive({
+      op: 'update',
+      requestId,
+      object: { className: 'Item', objectId: 'I2', score: 4 }
+    });
+    expect(getCache('live')).toEqual(['I2', 'I1', 'I3']);
+    expect(ParseObject._fromState('Item', 'I2').get('score')).toBe(4);
+
+    socket.receive({
+      op: 'leave',
+      requestId,
+      object: { className: 'Item', objectId: 'I1', score: 0 }
+    });
+    expect(getCache('live')).toEqual(['I2', 'I3']);
+    expect(ParseObject._fromState('Item', 'I1').get('score')).toBe(0);
+
+    socket.receive({
+      op: 'delete',
+      requestId,
+      object: { className: 'Item', objectId: 'I3' }
+    });
+    expect(getCache('live')).toEqual(['I2']);
+
+    socket.receive({ op: 'error', requestId, code: 1, error: 'Invalid query' });
+    expect(Store.getState().Parse.Query.Item.live.error.message).toBe('Invalid query');
+    subscription.unsubscribe();
+  });
+
+  it('reconnects and subscribes again when the connection is lost', () => {
+    var subscription = new ParseQuery('Item').subscribe();
+    var socket = connect();
+    socket.onclose();
+    expect(sockets.length).toBe(1);
+
+    jest.runAllTimers();
+    expect(sockets.length).toBe(2);
+    var next = connect();
+    expect(next.sent[1].op).toBe('subscribe');
+    expect(next.sent[1].requestId).toBe(socket.sent[1].requestId);
+
+    // events from the lost connection are ignored
+    socket.receive({ op: 'connected', clientId: 2 });
+    expect(next.sent.length).toBe(2);
+    subscription.unsubscribe();
+  });
+
+  it('requires a socket implementation', () => {
+    CoreManager.set('WebSocketController', undefined);
+    var query = new ParseQuery('Item');
+    expect(query.subscribe.bind(query)).toThrow(
+      'Cannot subscribe: No WebSocketController was set. Set one with ' +
+      'Parse.CoreManager.setWebSocketController().'
+    );
+  });
+});
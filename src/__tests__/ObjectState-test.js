@@ -265,6 +265,25 @@ describe('ObjectState', () => {
     });
   });
 
+  it('keeps estimated attributes until the state changes', () => {
+    ObjectState.setServerData('someClass', 'K2', { counter: 11 });
+    ObjectState.setPendingOp('someClass', 'K2', 'counter', new ParseOps.IncrementOp(1));
+    var attributes = ObjectState.estimateAttributes('someClass', 'K2');
+    expect(Object.isFrozen(attributes)).toBe(true);
+    expect(ObjectState.estimateAttributes('someClass', 'K2')).toBe(attributes);
+
+    ObjectState.setStatus('someClass', 'K2', 'saving', true);
+    expect(ObjectState.estimateAttributes('someClass', 'K2')).toBe(attributes);
+
+    ObjectState.setPendingOp('someClass', 'K2', 'valid', new ParseOps.SetOp(true));
+    var next = ObjectState.estimateAttributes('someClass', 'K2');
+    expect(next).not.toBe(attributes);
+    expect(next).toEqual({ counter: 12, valid: true });
+
+    ObjectState.setServerData('someClass', 'K2', { counter: 20 });
+    expect(ObjectState.estimateAttributes('someClass', 'K2').counter).toBe(21);
+  });
+
   it('can update server data with changes', () => {
     ObjectState.setServerData('someClass', 'L', { counter: 11 });
     expect(ObjectState.estimateAttributes('someClass', 'L')).toEqual({
@@ -9,6 +9,7 @@
 
 jest.autoMockOff();
 
+var ParseError = require('../ParseError');
 var ParseFile = require('../ParseFile');
 var ParsePromise = require('../ParsePromise');
 var CoreManager = require('../CoreManager');
@@ -89,6 +90,40 @@ describe('ParseFile', () => {
     });
   });
 
+  it('aborts its upload when the save is aborted', () => {
+    var uploads = [];
+    CoreManager.setFileController({
+      saveFile: generateSaveMock('http://files.parsetfss.com/a/'),
+      saveBase64: function(name) {
+        var upload = new ParsePromise();
+        upload._onAbort(function() {
+          upload.aborted = true;
+          upload.reject(new ParseError(ParseError.ABORTED, 'The request was aborted.'));
+        });
+        uploads.push(upload);
+        return upload;
+      }
+    });
+    var file = new ParseFile('parse.txt', { base64: 'ParseA==' });
+    var error = null;
+    var save = file.save();
+    save.fail(function(e) {
+      error = e;
+    });
+    save.abort();
+    expect(uploads[0].aborted).toBe(true);
+    expect(error.code).toBe(ParseError.ABORTED);
+
+    var result = null;
+    file.save().then(function(f) {
+      result = f;
+    });
+    expect(uploads.length).toBe(2);
+    uploads[1].resolve({ name: 'parse.txt', url: 'http://files.parsetfss.com/a/parse.txt' });
+    expect(result).toBe(file);
+    expect(file.url()).toBe('http://files.parsetfss.com/a/parse.txt');
+  });
+
   it('generates a JSON representation', () => {
     var file = new ParseFile('parse.txt', { base64: 'ParseA==' });
     file.save().then(function(result) {
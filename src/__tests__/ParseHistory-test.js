@@ -0,0 +1,164 @@
+/**
+ * Copyright (c) 2015-present, Parse, LLC.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+jest.dontMock('../arrayContainsObject');
+jest.dontMock('../CoreManager');
+jest.dontMock('../decode');
+jest.dontMock('../encode');
+jest.dontMock('../equals');
+jest.dontMock('../escape');
+jest.dontMock('../ObjectState');
+jest.dontMock('../parseDate');
+jest.dontMock('../ParseError');
+jest.dontMock('../ParseHistory');
+jest.dontMock('../ParseObject');
+jest.dontMock('../ParseOp');
+jest.dontMock('../ParsePromise');
+jest.dontMock('../TaskQueue');
+jest.dontMock('../unique');
+
+jest.dontMock('redux');
+jest.dontMock('../ReduxActionCreators');
+jest.dontMock('../ReduxReducers');
+jest.dontMock('../ReduxStore');
+
+var ObjectState = require('../ObjectState');
+var ParseHistory = require('../ParseHistory');
+var ParseObject = require('../ParseObject');
+var {
+  AddOp,
+  AddUniqueOp,
+  IncrementOp,
+  RemoveOp,
+  SetOp,
+  UnsetOp
+} = require('../ParseOp');
+
+ParseObject.enableSingleInstance();
+
+// stands in for a successful save request
+function save(object, response) {
+  ObjectState.pushPendingState(object.className, object._getStateIdentifier());
+  object._handleSaveResponse(response || {}, 200);
+}
+
+describe('ParseHistory', () => {
+  beforeEach(() => {
+    ParseHistory.setLimit(50);
+    ParseHistory.clear();
+  });
+
+  it('undoes and redoes unsaved changes', () => {
+    var item = new ParseObject('Item');
+    item.set('name', 'first');
+    item.set('name', 'second');
+    item.increment('count');
+
+    expect(item.undo()).toBe(true);
+    expect(item.op('count')).toBe(undefined);
+    expect(item.undo()).toBe(true);
+    expect(item.get('name')).toBe('first');
+    expect(ParseHistory.canRedo(item)).toBe(true);
+
+    expect(item.redo()).toBe(true);
+    expect(item.get('name')).toBe('second');
+
+    item.undo();
+    item.undo();
+    expect(item.dirtyKeys()).toEqual([]);
+    expect(ParseHistory.canUndo(item)).toBe(false);
+    expect(item.undo()).toBe(false);
+  });
+
+  it('forgets undone changes when a new change is made', () => {
+    var item = new ParseObject('Item');
+    item.set('name', 'first');
+    item.undo();
+    item.set('name', 'second');
+    expect(item.redo()).toBe(false);
+  });
+
+  it('reverts saved changes with inverse ops', () => {
+    var item = ParseObject.fromJSON({
+      className: 'Item',
+      objectId: 'I1',
+      count: 5,
+      tags: ['a'],
+      name: 'first'
+    });
+    item.increment('count', 2);
+    item.add('tags', 'b');
+    item.set('name', 'second');
+    save(item, { count: 7, tags: ['a', 'b'] });
+    expect(item.dirty()).toBe(false);
+
+    item.undo();
+    expect(item.op('name')).toEqual(new SetOp('first'));
+    item.undo();
+    expect(item.op('tags')).toEqual(new RemoveOp(['b']));
+    item.undo();
+    expect(item.op('count')).toEqual(new IncrementOp(-2));
+    expect(item.attributes).toEqual({ count: 5, tags: ['a'], name: 'first' });
+
+    item.redo();
+    expect(item.op('count')).toEqual(new IncrementOp(0));
+    expect(item.get('count')).toBe(7);
+  });
+
+  it('keeps the changes of new objects once they are saved', () => {
+    var item = new ParseObject('Item');
+    item.set('name', 'first');
+    ObjectState.pushPendingState('Item', item._getStateIdentifier());
+    item._handleSaveResponse({ objectId: 'I2' }, 201);
+
+    expect(ParseHistory.canUndo(item)).toBe(true);
+    item.undo();
+    expect(item.op('name')).toEqual(new UnsetOp());
+  });
+
+  it('keeps a limited number of changes', () => {
+    ParseHistory.setLimit(2);
+    var item = new ParseObject('Item');
+    item.set('name', 'first');
+    item.set('name', 'second');
+    item.set('name', 'third');
+    expect(item.undo()).toBe(true);
+    expect(item.undo()).toBe(true);
+    expect(item.undo()).toBe(false);
+    expect(item.get('name')).toBe('first');
+
+    ParseHistory.setLimit(0);
+    item.set('name', 'fourth');
+    expect(ParseHistory.canUndo(item)).toBe(false);
+  });
+
+  it('forgets every change when recording stops', () => {
+    var first = new ParseObject('Item');
+    var second = new ParseObject('Item');
+    first.set('name', 'first');
+    second.set('name', 'second');
+    second.undo();
+    expect(ParseHistory.canRedo(second)).toBe(true);
+
+    ParseHistory.setLimit(0);
+    expect(ParseHistory.canUndo(first)).toBe(false);
+    expect(ParseHistory.canRedo(second)).toBe(false);
+  });
+
+  it('computes inverse ops', () => {
+    expect(ParseHistory.inverse(new IncrementOp(3), 1)).toEqual(new IncrementOp(-3));
+    expect(ParseHistory.inverse(new AddOp([1, 2]), [1])).toEqual(new RemoveOp([1, 2]));
+    expect(ParseHistory.inverse(new AddUniqueOp([1, 2]), [1])).toEqual(new RemoveOp([2]));
+    expect(ParseHistory.inverse(new AddUniqueOp([1]), [1])).toBe(null);
+    expect(ParseHistory.inverse(new RemoveOp([1, 2]), [2, 3])).toEqual(new AddOp([2]));
+    expect(ParseHistory.inverse(new SetOp('b'), 'a')).toEqual(new SetOp('a'));
+    expect(ParseHistory.inverse(new SetOp('b'), undefined)).toEqual(new UnsetOp());
+    expect(ParseHistory.inverse(new UnsetOp(), 'a')).toEqual(new SetOp('a'));
+  });
+});
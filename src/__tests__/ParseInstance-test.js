@@ -0,0 +1,122 @@
+/**
+ * Copyright (c) 2015-present, Parse, LLC.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+jest.autoMockOff();
+
+// jest loads modules from its own registry rather than Node's module cache
+jest.setMock('../loadIsolated', function() {
+  jest.resetModuleRegistry();
+  return require('../Parse');
+});
+
+var { createStore, combineReducers } = require('redux');
+var Parse = require('../Parse');
+
+function createParseStore() {
+  return createStore(combineReducers({ Parse: Parse.getReducer() }));
+}
+
+describe('Parse instances', () => {
+  it('have their own configuration', () => {
+    Parse.initialize('A', 'B');
+    var first = Parse.createInstance({
+      applicationId: 'C',
+      javaScriptKey: 'D',
+      serverURL: 'https://first.example.com/1'
+    });
+    var second = Parse.createInstance({ applicationId: 'E', javaScriptKey: 'F' });
+
+    expect(first.applicationId).toBe('C');
+    expect(first.javaScriptKey).toBe('D');
+    expect(first.serverURL).toBe('https://first.example.com/1');
+    expect(second.applicationId).toBe('E');
+    expect(second.serverURL).toBe('https://api.parse.com/1');
+    expect(Parse.applicationId).toBe('A');
+
+    first.CoreManager.set('REQUEST_ATTEMPT_LIMIT', 1);
+    expect(second.CoreManager.get('REQUEST_ATTEMPT_LIMIT')).toBe(5);
+    expect(Parse.CoreManager.get('REQUEST_ATTEMPT_LIMIT')).toBe(5);
+  });
+
+  it('keep their objects in their own store', () => {
+    var firstStore = createParseStore();
+    var secondStore = createParseStore();
+    var first = Parse.createInstance({ applicationId: 'A', store: firstStore });
+    var second = Parse.createInstance({ applicationId: 'A', store: secondStore });
+    first.Object.enableSingleInstance();
+    second.Object.enableSingleInstance();
+
+    first.Object.fromJSON({ className: 'Item', objectId: 'I1', score: 1 });
+    second.Object.fromJSON({ className: 'Item', objectId: 'I1', score: 2 });
+
+    expect(firstStore.getState().Parse.Object.Item.I1.serverData.score).toBe(1);
+    expect(secondStore.getState().Parse.Object.Item.I1.serverData.score).toBe(2);
+    expect(first.Selectors.selectObject(firstStore.getState(), 'Item', 'I1').attributes.score).toBe(1);
+  });
+
+  it('use their own controllers', () => {
+    var instance = Parse.createInstance({ applicationId: 'A' });
+    instance.CoreManager.setQueryController({
+      find() {
+        return instance.Promise.as({ results: [{ objectId: 'I1' }] });
+      }
+    });
+    expect(Parse.CoreManager.getQueryController())
+      .not.toBe(instance.CoreManager.getQueryController());
+
+    var results;
+    new instance.Query('Item').find().then((r) => {
+      results = r;
+    });
+    expect(results[0] instanceof instance.Object).toBe(true);
+    expect(results[0] instanceof Parse.Object).toBe(false);
+  });
+
+  it('are loaded by the real loader into copies that can be released', () => {
+    // the loader works on Node's module cache, so it runs in a separate
+    // process, outside of jest's registry
+    var childProcess = require('child_process');
+    var path = require('path');
+    var src = path.join(__dirname, '..');
+    var script = [
+      'require("babel-core/register")({ only: /\\/src\\// });',
+      'var src = ' + JSON.stringify(src) + ';',
+      'var loadIsolated = require(src + "/loadIsolated");',
+      'var loader = require.cache[require.resolve(src + "/loadIsolated")];',
+      'var children = loader.children.length;',
+      'var first = loadIsolated();',
+      'var second = loadIsolated();',
+      'first.Object.enableSingleInstance();',
+      'second.Object.enableSingleInstance();',
+      'first.Object.fromJSON({ className: "Item", objectId: "I1", score: 1 });',
+      'function score(instance) {',
+      '  var item = new instance.Object("Item");',
+      '  item.id = "I1";',
+      '  return item.get("score");',
+      '}',
+      'process.stdout.write(JSON.stringify({',
+      '  separate: first !== second,',
+      '  score: score(first),',
+      '  shared: score(second) !== undefined,',
+      '  released: loader.children.length === children',
+      '}));'
+    ].join('\n');
+    var output = childProcess.execFileSync(process.execPath, ['-e', script], {
+      cwd: path.join(src, '..'),
+      env: { ...process.env, PARSE_BUILD: 'node' }
+    });
+
+    expect(JSON.parse(String(output))).toEqual({
+      separate: true,
+      score: 1,
+      shared: false,
+      released: true
+    });
+  });
+});
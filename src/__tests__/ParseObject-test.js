@@ -14,6 +14,7 @@ jest.dontMock('../decode');
 jest.dontMock('../encode');
 jest.dontMock('../equals');
 jest.dontMock('../escape');
+jest.dontMock('../matchesQuery');
 jest.dontMock('../ObjectState')
 jest.dontMock('../parseDate');
 jest.dontMock('../ParseError');
@@ -33,6 +34,7 @@ jest.dontMock('./test_helpers/mockXHR');
 
 jest.dontMock('redux');
 jest.dontMock('../ReduxActionCreators');
+jest.dontMock('../ReduxCacheHelper');
 jest.dontMock('../ReduxStore');
 jest.dontMock('../ReduxReducers');
 
@@ -74,7 +76,9 @@ var ParseObject = require('../ParseObject');
 var ParseOp = require('../ParseOp');
 var ParsePromise = require('../ParsePromise');
 var RESTController = require('../RESTController');
+var Store = require('../ReduxStore');
 var unsavedChildren = require('../unsavedChildren');
+var { QueryActions } = require('../ReduxActionCreators');
 
 var asyncHelper = require('./test_helpers/asyncHelper');
 var mockXHR = require('./test_helpers/mockXHR');
@@ -304,6 +308,109 @@ describe('ParseObject', () => {
     expect(o.dirty('unset')).toBe(false);
   })
 
+  it('can revert unsaved changes', () => {
+    var o = new ParseObject('Person');
+    o._finishFetch({
+      objectId: 'P20',
+      name: 'Will',
+      age: 28,
+      tags: ['a']
+    });
+    o.set('name', 'Bill');
+    o.increment('age');
+    o.get('tags').push('b');
+    expect(o.dirtyKeys()).toEqual(['name', 'age', 'tags']);
+
+    o.revert('name');
+    expect(o.get('name')).toBe('Will');
+    expect(o.dirtyKeys()).toEqual(['age', 'tags']);
+
+    o.revert();
+    expect(o.attributes).toEqual({ name: 'Will', age: 28, tags: ['a'] });
+    expect(o.dirty()).toBe(false);
+
+    expect(o.revert.bind(o, 12)).toThrow('Cannot revert a non-string key: 12');
+  });
+
+  it('can describe unsaved changes', () => {
+    var o = new ParseObject('Person');
+    o._finishFetch({
+      objectId: 'P21',
+      name: 'Will',
+      tags: ['a']
+    });
+    o.set('name', 'Bill');
+    o.get('tags').push('b');
+    expect(o.changes()).toEqual({
+      name: {
+        server: 'Will',
+        local: 'Bill',
+        op: new SetOp('Bill'),
+        conflict: false
+      },
+      tags: {
+        server: ['a'],
+        local: ['a', 'b'],
+        op: undefined,
+        conflict: false
+      }
+    });
+  });
+
+  it('detects fetched changes to attributes with unsaved changes', () => {
+    var o = new ParseObject('Person');
+    o._finishFetch({
+      objectId: 'P22',
+      name: 'Will',
+      age: 28,
+      city: 'Oslo'
+    });
+    o.set('name', 'Bill');
+    o.set('age', 29);
+    o._finishFetch({ objectId: 'P22', name: 'Will', age: 30, city: 'Paris' });
+    expect(o.hasConflicts()).toBe(true);
+    expect(o.hasConflicts('age')).toBe(true);
+    expect(o.hasConflicts('name')).toBe(false);
+    expect(o.hasConflicts('city')).toBe(false);
+    expect(o.get('age')).toBe(29);
+    expect(o.changes().age).toEqual({
+      server: 30,
+      local: 29,
+      op: new SetOp(29),
+      conflict: true
+    });
+
+    o.revert('age');
+    expect(o.hasConflicts()).toBe(false);
+
+    o.set('city', 'Rome');
+    o._finishFetch({ objectId: 'P22', city: 'Berlin' });
+    expect(o.hasConflicts('city')).toBe(true);
+    ObjectState.pushPendingState('Person', 'P22');
+    o._handleSaveResponse({}, 200);
+    expect(o.hasConflicts()).toBe(false);
+  });
+
+  it('only looks for conflicts in fetched objects with unsaved ops', () => {
+    var o = new ParseObject('Person');
+    o._finishFetch({ objectId: 'P24', name: 'Will', age: 28 });
+    var dirtyKeys = o.dirtyKeys;
+    var calls = 0;
+    o.dirtyKeys = function() {
+      calls++;
+      return dirtyKeys.call(this);
+    };
+    o._finishFetch({ objectId: 'P24', name: 'Bill', age: 30 });
+    expect(calls).toBe(0);
+    expect(o.get('age')).toBe(30);
+
+    o.set('age', 31);
+    calls = 0;
+    o._finishFetch({ objectId: 'P24', age: 32 });
+    expect(calls).toBeGreaterThan(0);
+    expect(o.hasConflicts('age')).toBe(true);
+  });
+
   it('can unset a field', () => {
     var o = new ParseObject('Person');
     o.id = 'anObjectId';
@@ -1323,6 +1430,27 @@ describe('ObjectController', () => {
     xhr.onreadystatechange();
   }));
 
+  it('can fetch an object and keep its unsaved changes', () => {
+    var objectController = CoreManager.getObjectController();
+    var xhr = {
+      setRequestHeader: jest.genMockFn(),
+      open: jest.genMockFn(),
+      send: jest.genMockFn()
+    };
+    RESTController._setXHR(function() { return xhr; });
+    var o = new ParseObject('Person');
+    o._finishFetch({ objectId: 'P23', name: 'Will', age: 28 });
+    o.set('age', 29);
+    objectController.fetch(o, true, { keepChanges: true });
+
+    xhr.status = 200;
+    xhr.responseText = JSON.stringify({ name: 'Bill', age: 30 });
+    xhr.readyState = 4;
+    xhr.onreadystatechange();
+    expect(o.attributes).toEqual({ name: 'Bill', age: 29 });
+    expect(o.hasConflicts('age')).toBe(true);
+  });
+
   it('can fetch an array of objects', asyncHelper((done) => {
     var objectController = CoreManager.getObjectController();
     var objects = [];
@@ -1470,6 +1598,92 @@ describe('ObjectController', () => {
     xhr.onreadystatechange();
   }));
 
+  it('tracks the status of a save', asyncHelper((done) => {
+    var objectController = CoreManager.getObjectController();
+    var xhr = {
+      setRequestHeader: jest.genMockFn(),
+      open: jest.genMockFn(),
+      send: jest.genMockFn()
+    };
+    RESTController._setXHR(function() { return xhr; });
+    var p = new ParseObject('Person');
+    p.id = 'pid_status';
+    p.set('key', 'value');
+    expect(p.getStatus()).toEqual({
+      saving: false,
+      fetching: false,
+      destroying: false
+    });
+    objectController.save(p, {}).then(() => {
+      var status = p.getStatus();
+      expect(status.saving).toBe(false);
+      expect(status.savedAt instanceof Date).toBe(true);
+      done();
+    });
+    expect(p.getStatus().saving).toBe(true);
+
+    xhr.status = 200;
+    xhr.responseText = JSON.stringify({});
+    xhr.readyState = 4;
+    xhr.onreadystatechange();
+  }));
+
+  it('clears the status of a failed fetch', asyncHelper((done) => {
+    var objectController = CoreManager.getObjectController();
+    var xhr = {
+      setRequestHeader: jest.genMockFn(),
+      open: jest.genMockFn(),
+      send: jest.genMockFn()
+    };
+    RESTController._setXHR(function() { return xhr; });
+    var p = new ParseObject('Person');
+    p.id = 'pid_fetch_status';
+    objectController.fetch(p, true, {}).then(null, () => {
+      var status = p.getStatus();
+      expect(status.fetching).toBe(false);
+      expect(status.fetchedAt).toBe(undefined);
+      done();
+    });
+    expect(p.getStatus().fetching).toBe(true);
+
+    xhr.status = 404;
+    xhr.responseText = JSON.stringify({ code: 101, error: 'Object not found.' });
+    xhr.readyState = 4;
+    xhr.onreadystatechange();
+  }));
+
+  it('clears the status of objects when a batch save fails', asyncHelper((done) => {
+    var objectController = CoreManager.getObjectController();
+    var xhr = {
+      setRequestHeader: jest.genMockFn(),
+      open: jest.genMockFn(),
+      send: jest.genMockFn()
+    };
+    RESTController._setXHR(function() { return xhr; });
+    var objects = ['pid_batch_1', 'pid_batch_2'].map((id) => {
+      var p = new ParseObject('Person');
+      p.id = id;
+      p.set('key', 'value');
+      return p;
+    });
+    objectController.save(objects, {}).then(null, (error) => {
+      expect(error.code).toBe(ParseError.INTERNAL_SERVER_ERROR);
+      objects.forEach((p) => {
+        var status = p.getStatus();
+        expect(status.saving).toBe(false);
+        expect(status.error.code).toBe(ParseError.INTERNAL_SERVER_ERROR);
+        expect(p.dirtyKeys()).toEqual(['key']);
+      });
+      done();
+    });
+    expect(objects[0].getStatus().saving).toBe(true);
+
+    xhr.status = 400;
+    xhr.responseText = JSON.stringify({ code: 1, error: 'Internal error' });
+    xhr.readyState = 4;
+    xhr.onreadystatechange();
+  }));
+
   it('can save an array of files', asyncHelper((done) => {
     var objectController = CoreManager.getObjectController();
     var xhrs = [];
@@ -1610,6 +1824,115 @@ describe('ObjectController', () => {
 
     xhrs[0].onreadystatechange();
   });
+
+  function cacheTasks(grouping, ids) {
+    ids.forEach((id, rank) => {
+      ParseObject.fromJSON({ className: 'Task', objectId: id, rank });
+    });
+    Store.dispatch(QueryActions.saveResult({
+      name: 'Task',
+      grouping,
+      query: { where: {}, order: 'rank' },
+      result: ids.map((id) => ({ __ref: true, className: 'Task', id }))
+    }));
+  }
+
+  function cachedTasks(grouping) {
+    return Store.getState().Parse.Query.Task[grouping].cache;
+  }
+
+  function mockResponse(status, response) {
+    var xhr = {
+      setRequestHeader: jest.genMockFn(),
+      open: jest.genMockFn(),
+      send: jest.genMockFn()
+    };
+    RESTController._setXHR(function() { return xhr; });
+    return function() {
+      xhr.status = status;
+      xhr.responseText = JSON.stringify(response);
+      xhr.readyState = 4;
+      xhr.onreadystatechange();
+    };
+  }
+
+  it('can save an object optimistically', () => {
+    cacheTasks('saved', ['T1', 'T2']);
+    var respond = mockResponse(201, { objectId: 'T3', createdAt: '2015-01-01T00:00:00.000Z' });
+    var task = new ParseObject('Task');
+    task.save({ rank: 0.5 }, { optimistic: true, groupings: ['saved'] });
+    expect(cachedTasks('saved')).toEqual([
+      { __ref: true, className: 'Task', id: 'T1' },
+      task,
+      { __ref: true, className: 'Task', id: 'T2' }
+    ]);
+
+    respond();
+    expect(cachedTasks('saved')).toEqual([
+      { __ref: true, className: 'Task', id: 'T1' },
+      { __ref: true, className: 'Task', id: 'T3' },
+      { __ref: true, className: 'Task', id: 'T2' }
+    ]);
+  });
+
+  it('rolls back optimistic saves that fail', () => {
+    cacheTasks('failed', ['T4', 'T5']);
+    var task = ParseObject._fromState('Task', 'T4');
+    var respond = mockResponse(400, { code: 111, error: 'Invalid rank' });
+    var save = task.save({ rank: 2 }, { optimistic: true });
+    expect(cachedTasks('failed')).toEqual([
+      { __ref: true, className: 'Task', id: 'T5' },
+      { __ref: true, className: 'Task', id: 'T4' }
+    ]);
+
+    respond();
+    expect(save._rejected).toBe(true);
+    expect(task.get('rank')).toBe(0);
+    expect(task.dirty()).toBe(false);
+    expect(cachedTasks('failed')).toEqual([
+      { __ref: true, className: 'Task', id: 'T4' },
+      { __ref: true, className: 'Task', id: 'T5' }
+    ]);
+  });
+
+  it('rolls back optimistic destroys that fail', () => {
+    cacheTasks('destroyed', ['T6', 'T7']);
+    var task = ParseObject._fromState('Task', 'T6');
+    var respond = mockResponse(400, { code: 119, error: 'Permission denied' });
+    task.destroy({ optimistic: true });
+    expect(cachedTasks('destroyed')).toEqual([{ __ref: true, className: 'Task', id: 'T7' }]);
+
+    respond();
+    expect(cachedTasks('destroyed')).toEqual([
+      { __ref: true, className: 'Task', id: 'T6' },
+      { __ref: true, className: 'Task', id: 'T7' }
+    ]);
+  });
+
+  it('syncs cached results with the objects of a saveAll', () => {
+    CoreManager.set('SYNC_QUERY_CACHES', true);
+    var scored = ParseObject.fromJSON({ className: 'Score', objectId: 'S1', score: 1 });
+    Store.dispatch(QueryActions.saveResult({
+      name: 'Score',
+      grouping: 'positive',
+      query: { where: { score: { $gt: 0 } }, order: 'score' },
+      result: [{ __ref: true, className: 'Score', id: 'S1' }]
+    }));
+    scored.set('score', 4);
+    var created = [2, 3].map((score) => new ParseObject('Score', { score }));
+    var respond = mockResponse(200, [
+      { success: { updatedAt: '2015-01-01T00:00:00.000Z' } },
+      { success: { objectId: 'S2', createdAt: '2015-01-01T00:00:00.000Z' } },
+      { success: { objectId: 'S3', createdAt: '2015-01-01T00:00:00.000Z' } }
+    ]);
+    ParseObject.saveAll([scored].concat(created));
+    respond();
+    CoreManager.set('SYNC_QUERY_CACHES', false);
+
+    expect(Store.getState().Parse.Query.Score.positive.cache.map((row) => row.id)).toEqual([
+      'S2', 'S3', 'S1'
+    ]);
+  });
 });
 
 class MyObject extends ParseObject {
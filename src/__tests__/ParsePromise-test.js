@@ -431,4 +431,81 @@ describe('Promise', () => {
     expect(ParsePromise.is(ParsePromise.as())).toBe(true);
     expect(ParsePromise.is(ParsePromise.error())).toBe(true);
   })
+
+  it('aborts the promise a chain is waiting on', () => {
+    var request = new ParsePromise();
+    var aborted = false;
+    request._onAbort(() => {
+      aborted = true;
+      request.reject('aborted');
+    });
+    var handled = null;
+    var chain = ParsePromise.as().then(() => request).then(() => {
+      // This should not be reached
+      expect(true).toBe(false);
+    }, (error) => {
+      handled = error;
+      return ParsePromise.error(error);
+    });
+    chain.abort();
+    if (ParsePromise.isPromisesAPlusCompliant()) {
+      return;
+    }
+    expect(aborted).toBe(true);
+    expect(handled).toBe('aborted');
+  });
+
+  it('rejects aborted promises without running their callbacks', () => {
+    var first = new ParsePromise();
+    var called = false;
+    var error = null;
+    var chain = first.then(() => {
+      called = true;
+    });
+    chain.then(null, (e) => {
+      error = e;
+    });
+    chain.abort();
+    first.resolve();
+
+    expect(called).toBe(false);
+    expect(error.code).toBe(603);
+    expect(chain.abort.bind(chain)).not.toThrow();
+  });
+
+  it('aborts a shared promise once every chain waiting on it has aborted', () => {
+    var request = new ParsePromise();
+    var aborted = false;
+    request._onAbort(() => {
+      aborted = true;
+      request.reject('aborted');
+    });
+    var first = request.then();
+    var second = request.then();
+    var result = null;
+    second.then((r) => {
+      result = r;
+    });
+
+    first.abort();
+    expect(aborted).toBe(false);
+    expect(first._rejected).toBe(true);
+    expect(second._isSettled()).toBe(false);
+
+    request.resolve('done');
+    if (ParsePromise.isPromisesAPlusCompliant()) {
+      return;
+    }
+    expect(result).toBe('done');
+
+    var other = new ParsePromise();
+    other._onAbort(() => {
+      aborted = true;
+      other.reject('aborted');
+    });
+    var chains = [other.then(), other.then()];
+    chains[0].abort();
+    chains[1].abort();
+    expect(aborted).toBe(true);
+  });
 });
@@ -15,6 +15,10 @@ jest.dontMock('../ParsePromise');
 jest.dontMock('../ParseQuery');
 jest.dontMock('./test_helpers/asyncHelper');
 
+jest.dontMock('redux');
+jest.dontMock('../ReduxActionCreators');
+jest.dontMock('../ReduxStore');
+jest.dontMock('../ReduxReducers');
 jest.dontMock('../ReduxCacheHelper');
 
 var mockObject = function(className) {
@@ -22,6 +26,18 @@ var mockObject = function(className) {
   this.attributes = {};
 };
 mockObject.registerSubclass = function() {};
+mockObject.prototype.get = function(attr) {
+  return this.attributes[attr];
+};
+// mock objects have no state in the store, so caches keep them as they are
+// rather than as references
+mockObject.prototype._getStateIdentifier = function() {
+  return 'mock:' + this.id;
+};
+// nor do they share their state, as with single instance objects disabled
+mockObject._isSingleInstance = function() {
+  return false;
+};
 mockObject.fromJSON = function(json) {
   var o = new mockObject(json.className);
   o.id = json.objectId;
@@ -61,6 +77,24 @@ describe('ParseQuery', () => {
     });
   });
 
+  it('can be constructed from its JSON representation', () => {
+    var q = new ParseQuery('Item');
+    q.greaterThan('size', 10);
+    q.include(['owner', 'tags']);
+    q.select('size', 'name');
+    q.descending('size');
+    q.limit(5);
+    q.skip(10);
+    q._extraOptions.redirectClassNameForKey = 'tags';
+
+    var q2 = ParseQuery.fromJSON('Item', q.toJSON());
+    expect(q2.className).toBe('Item');
+    expect(q2.toJSON()).toEqual(q.toJSON());
+
+    q2.equalTo('name', 'Table');
+    expect(q.toJSON().where.name).toBe(undefined);
+  });
+
   it('throws when created with invalid data', () => {
     expect(function() {
       new ParseQuery();
@@ -1292,6 +1326,147 @@ describe('ParseQuery', () => {
     });
   }));
 
+  it('can append results to a cache sorted on any keys', asyncHelper((done) => {
+    var requests = [];
+    var pages = [
+      [
+        { objectId: 'I1', score: 9, size: 'large' },
+        { objectId: 'I2', score: 7, size: 'small' }
+      ],
+      [
+        { objectId: 'I3', score: 7, size: 'large' }
+      ]
+    ];
+    CoreManager.setQueryController({
+      find(className, params, options) {
+        requests.push(params);
+        return ParsePromise.as({
+          results: pages.shift()
+        });
+      }
+    });
+
+    var q = new ParseQuery('Item');
+    q.descending('score');
+    q.addAscending('size');
+    q.greaterThan('score', 2);
+    q.limit(2);
+    q.find.refresh('paging').then(() => {
+      return q.find.append('paging');
+    }).then(() => {
+      expect(requests[1]).toEqual({
+        where: {
+          score: { $gt: 2 },
+          $or: [
+            { score: { $lt: 7 } },
+            { score: 7, size: { $gt: 'small' } },
+            { score: 7, size: 'small', objectId: { $lt: 'I2' } }
+          ]
+        },
+        limit: 2,
+        order: '-score,size,-objectId'
+      });
+      expect(q.find.get('paging').map((o) => o.id)).toEqual(['I1', 'I2', 'I3']);
+      expect(q.find.getState('paging').appendEnd).toBe(true);
+      done();
+    });
+  }));
+
+  it('prepends results in cache order', asyncHelper((done) => {
+    var requests = [];
+    var pages = [
+      [
+        { objectId: 'I5', score: 5 },
+        { objectId: 'I6', score: 6 }
+      ],
+      [
+        { objectId: 'I4', score: 4 },
+        { objectId: 'I3', score: 3 }
+      ]
+    ];
+    CoreManager.setQueryController({
+      find(className, params, options) {
+        requests.push(params);
+        return ParsePromise.as({
+          results: pages.shift()
+        });
+      }
+    });
+
+    var q = new ParseQuery('Item');
+    q.ascending('score');
+    q.find.refresh('prepending').then(() => {
+      return q.find.prepend('prepending');
+    }).then(() => {
+      expect(requests[1]).toEqual({
+        where: {
+          $or: [
+            { score: { $lt: 5 } },
+            { score: 5, objectId: { $lt: 'I5' } }
+          ]
+        },
+        order: '-score,-objectId'
+      });
+      expect(q.find.get('prepending').map((o) => o.id)).toEqual(['I3', 'I4', 'I5', 'I6']);
+      done();
+    });
+  }));
+
+  it('only runs queries locally with single instance objects', () => {
+    var q = new ParseQuery('Item');
+    expect(q.find.local).toThrow(
+      'Queries can only be run locally with single instance objects'
+    );
+  });
+
+  it('breaks ties with objectId on every page of a cache', asyncHelper((done) => {
+    var requests = [];
+    var pages = [
+      [
+        { objectId: 'I1', score: 5 },
+        { objectId: 'I2', score: 5 }
+      ],
+      [
+        { objectId: 'I3', score: 5 }
+      ],
+      []
+    ];
+    CoreManager.setQueryController({
+      find(className, params, options) {
+        requests.push(params);
+        return ParsePromise.as({
+          results: pages.shift()
+        });
+      }
+    });
+
+    var q = new ParseQuery('Item');
+    q.ascending('score');
+    q.limit(2);
+    q.find.refresh('ties').then(() => {
+      return q.find.append('ties');
+    }).then(() => {
+      expect(requests[0]).toEqual({ where: {}, limit: 2, order: 'score,objectId' });
+      expect(requests[1]).toEqual({
+        where: {
+          $or: [
+            { score: { $gt: 5 } },
+            { score: 5, objectId: { $gt: 'I2' } }
+          ]
+        },
+        limit: 2,
+        order: 'score,objectId'
+      });
+      expect(q.find.get('ties').map((o) => o.id)).toEqual(['I1', 'I2', 'I3']);
+      expect(q.find.getState('ties').query.order).toBe('score,objectId');
+
+      // queries without an order are paged by createdAt
+      new ParseQuery('Item').find.refresh('unordered');
+      expect(requests[2].order).toBe('-createdAt,-objectId');
+      done();
+    });
+  }));
+
   it('rewrites User queries when the rewrite is enabled', () => {
     CoreManager.set('PERFORM_USER_REWRITE', true);
     var q = new ParseQuery('User');
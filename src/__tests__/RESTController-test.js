@@ -10,6 +10,7 @@
 jest.autoMockOff();
 
 var CoreManager = require('../CoreManager');
+var ParseError = require('../ParseError');
 var ParsePromise = require('../ParsePromise');
 var RESTController = require('../RESTController');
 var asyncHelper = require('./test_helpers/asyncHelper');
@@ -26,6 +27,11 @@ CoreManager.set('VERSION', 'V');
 
 
 describe('RESTController', () => {
+  afterEach(() => {
+    delete global.fetch;
+    CoreManager.set('REQUEST_TRANSPORT', 'xhr');
+  });
+
   it('throws if there is no XHR implementation', () => {
     RESTController._setXHR(null);
     expect(RESTController.ajax.bind(null, 'GET', 'users/me', {})).toThrow(
@@ -118,6 +124,91 @@ describe('RESTController', () => {
     jest.runAllTimers();
   }));
 
+  it('aborts requests without retrying them', () => {
+    var xhrs = [];
+    RESTController._setXHR(function() {
+      var xhr = {
+        setRequestHeader: jest.genMockFn(),
+        open: jest.genMockFn(),
+        send: jest.genMockFn(),
+        abort: jest.genMockFn()
+      };
+      xhrs.push(xhr);
+      return xhr;
+    });
+    var error = null;
+    var request = RESTController.request('GET', 'classes/MyObject', {});
+    request.then(null, (e) => {
+      error = e;
+    });
+    xhrs[0].status = 0;
+    xhrs[0].readyState = 4;
+    xhrs[0].onreadystatechange();
+
+    request.abort();
+    jest.runAllTimers();
+    expect(xhrs[0].abort.mock.calls.length).toBe(1);
+    expect(xhrs.length).toBe(1);
+    expect(error.code).toBe(ParseError.ABORTED);
+  });
+
+  it('shares identical GET requests in flight', () => {
+    var xhrs = [];
+    RESTController._setXHR(function() {
+      var xhr = {
+        setRequestHeader: jest.genMockFn(),
+        open: jest.genMockFn(),
+        send: jest.genMockFn(),
+        abort: jest.genMockFn()
+      };
+      xhrs.push(xhr);
+      return xhr;
+    });
+    var results = [];
+    var push = (response) => {
+      results.push(response);
+    };
+    RESTController.request('GET', 'classes/Shared', { limit: 1 }).then(push);
+    RESTController.request('GET', 'classes/Shared', { limit: 1 }).then(push);
+    RESTController.request('GET', 'classes/Shared', { limit: 2 }).then(push);
+    RESTController.request('GET', 'classes/Shared', { limit: 1 }, { dedupe: false }).then(push);
+    RESTController.request('POST', 'classes/Shared', { limit: 1 }).then(push);
+    expect(xhrs.length).toBe(4);
+
+    xhrs[0].status = 200;
+    xhrs[0].responseText = '{"results":[]}';
+    xhrs[0].readyState = 4;
+    xhrs[0].onreadystatechange();
+    expect(results).toEqual([{ results: [] }, { results: [] }]);
+    expect(results[0]).not.toBe(results[1]);
+
+    // finished requests are not shared
+    RESTController.request('GET', 'classes/Shared', { limit: 1 });
+    expect(xhrs.length).toBe(5);
+  });
+
+  it('aborts a shared request once every caller has aborted', () => {
+    var xhr = {
+      setRequestHeader: jest.genMockFn(),
+      open: jest.genMockFn(),
+      send: jest.genMockFn(),
+      abort: jest.genMockFn()
+    };
+    RESTController._setXHR(function() { return xhr; });
+    var first = RESTController.request('GET', 'classes/Aborted', {});
+    var second = RESTController.request('GET', 'classes/Aborted', {});
+    var errors = [];
+    first.then(null, (e) => {
+      errors.push(e.code);
+    });
+
+    first.abort();
+    expect(errors).toEqual([ParseError.ABORTED]);
+    expect(xhr.abort.mock.calls.length).toBe(0);
+    second.abort();
+    expect(xhr.abort.mock.calls.length).toBe(1);
+  });
+
   it('rejects 1XX status codes', asyncHelper((done) => {
     RESTController._setXHR(mockXHR([{ status: 100 }]));
     RESTController.ajax('POST', 'users', {}).then(null, (xhr) => {
@@ -328,4 +419,248 @@ describe('RESTController', () => {
       'Cannot use the Master Key, it has not been provided.'
     );
   });
+
+  it('can make requests with a custom transport', asyncHelper((done) => {
+    var requests = [];
+    var statuses = [500, 200];
+    CoreManager.set('REQUEST_TRANSPORT', (method, url, body, headers, respond) => {
+      requests.push([method, url, body, headers]);
+      respond({ status: statuses.shift(), responseText: '{"success":true}' });
+      return function() {};
+    });
+    RESTController.ajax('POST', 'users', '{}').then((response) => {
+      CoreManager.set('REQUEST_TRANSPORT', 'xhr');
+      expect(requests.length).toBe(2);
+      expect(requests[0].slice(0, 3)).toEqual(['POST', 'users', '{}']);
+      expect(requests[0][3]['Content-Type']).toBe('text/plain');
+      expect(response).toEqual({ success: true });
+      done();
+    });
+    jest.runAllTimers();
+  }));
+
+  it('translates the errors of any transport', () => {
+    CoreManager.set('REQUEST_TRANSPORT', (method, url, body, headers, done) => {
+      done({ status: 404, responseText: '{"code":101,"error":"Object not found."}' });
+      return function() {};
+    });
+    var error = null;
+    RESTController.request('GET', 'classes/MyObject/abc', {}).then(null, (e) => {
+      error = e;
+    });
+    CoreManager.set('REQUEST_TRANSPORT', 'xhr');
+
+    expect(error.code).toBe(ParseError.OBJECT_NOT_FOUND);
+    expect(error.message).toBe('Object not found.');
+  });
+
+  it('can make requests with fetch', asyncHelper((done) => {
+    var calls = [];
+    global.fetch = function(url, init) {
+      calls.push([url, init]);
+      return Promise.resolve({
+        status: 200,
+        text() {
+          return Promise.resolve('{"success":true}');
+        }
+      });
+    };
+    CoreManager.set('REQUEST_TRANSPORT', 'fetch');
+    RESTController.ajax('POST', 'users', '{}').then((response, status) => {
+      expect(calls[0][0]).toBe('users');
+      expect(calls[0][1].method).toBe('POST');
+      expect(calls[0][1].body).toBe('{}');
+      expect(response).toEqual({ success: true });
+      expect(status).toBe(200);
+      done();
+    });
+  }));
+
+  it('can make requests with the node transport', asyncHelper((done) => {
+    var http = require('http');
+    var received = [];
+    var server = http.createServer((request, response) => {
+      var body = '';
+      request.setEncoding('utf8');
+      request.on('data', (chunk) => {
+        body += chunk;
+      });
+      request.on('end', () => {
+        received.push([request.method, request.url, request.headers, body]);
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        response.end('{"success":true}');
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      var url = 'http://127.0.0.1:' + server.address().port + '/1/users';
+      CoreManager.set('REQUEST_TRANSPORT', 'node');
+      RESTController.ajax('POST', url, '{"a":1}').then((response, status) => {
+        expect(received[0][0]).toBe('POST');
+        expect(received[0][1]).toBe('/1/users');
+        expect(received[0][2]['content-type']).toBe('text/plain');
+        expect(received[0][2]['content-length']).toBe('7');
+        expect(received[0][3]).toBe('{"a":1}');
+        expect(response).toEqual({ success: true });
+        expect(status).toBe(200);
+        server.close(done);
+      });
+    });
+  }));
+
+  it('throws for unknown transports', () => {
+    CoreManager.set('REQUEST_TRANSPORT', 'pigeon');
+    expect(RESTController.ajax.bind(null, 'GET', 'users/me', {})).toThrow(
+      'Unknown request transport: pigeon'
+    );
+    CoreManager.set('REQUEST_TRANSPORT', 'xhr');
+  });
+
+  it('passes requests through the request interceptors', () => {
+    var sent = [];
+    CoreManager.set('REQUEST_TRANSPORT', (method, url, body, headers, done) => {
+      sent.push([url, JSON.parse(body), headers]);
+      done({ status: 200, responseText: '{}' });
+      return function() {};
+    });
+    CoreManager.set('REQUEST_INTERCEPTORS', [(request) => {
+      expect(request.method).toBe('GET');
+      expect(request.payload._ApplicationId).toBe('A');
+      request.headers['X-Trace'] = 't1';
+    }, (request) => {
+      return ParsePromise.as({
+        ...request,
+        method: 'PUT',
+        path: 'classes/Other',
+        payload: { ...request.payload, extra: true }
+      });
+    }]);
+    RESTController.request('GET', 'classes/MyObject', {});
+    CoreManager.set('REQUEST_INTERCEPTORS', []);
+    CoreManager.set('REQUEST_TRANSPORT', 'xhr');
+
+    expect(sent.length).toBe(1);
+    expect(sent[0][0]).toBe('https://api.parse.com/1/classes/Other');
+    expect(sent[0][1]._method).toBe('PUT');
+    expect(sent[0][1].extra).toBe(true);
+    expect(sent[0][2]['X-Trace']).toBe('t1');
+  });
+
+  it('passes responses and errors through the response interceptors', () => {
+    var statuses = [200, 404];
+    CoreManager.set('REQUEST_TRANSPORT', (method, url, body, headers, done) => {
+      done({
+        status: statuses.shift(),
+        responseText: '{"code":101,"error":"Object not found."}'
+      });
+      return function() {};
+    });
+    var seen = [];
+    CoreManager.set('RESPONSE_INTERCEPTORS', [(response, request) => {
+      seen.push(request.path);
+      if (response.error) {
+        return ParsePromise.as({
+          error: new ParseError(ParseError.OTHER_CAUSE, 'Rewritten')
+        });
+      }
+      response.result = { rewritten: true };
+    }]);
+    var result = null;
+    var error = null;
+    RESTController.request('GET', 'classes/A', {}).then((r, status) => {
+      result = [r, status];
+    });
+    RESTController.request('GET', 'classes/B', {}).then(null, (e) => {
+      error = e;
+    });
+    CoreManager.set('RESPONSE_INTERCEPTORS', []);
+    CoreManager.set('REQUEST_TRANSPORT', 'xhr');
+
+    expect(seen).toEqual(['classes/A', 'classes/B']);
+    expect(result).toEqual([{ rewritten: true }, 200]);
+    expect(error.code).toBe(ParseError.OTHER_CAUSE);
+    expect(error.message).toBe('Rewritten');
+  });
+
+  it('can send credentials as headers with real verbs', () => {
+    var sent = [];
+    CoreManager.set('REQUEST_TRANSPORT', (method, url, body, headers, done) => {
+      sent.push([method, url, body, headers]);
+      done({ status: 200, responseText: '{}' });
+      return function() {};
+    });
+    CoreManager.set('REQUEST_AUTH_MODE', 'headers');
+    RESTController.request('GET', 'classes/MyObject', {
+      where: { score: { $gt: 1 } },
+      order: '-score',
+      limit: 2
+    }, { sessionToken: 'r:123' });
+    RESTController.request('PUT', 'classes/MyObject/abc', { score: 3 });
+    CoreManager.set('REQUEST_AUTH_MODE', 'body');
+    CoreManager.set('REQUEST_TRANSPORT', 'xhr');
+
+    expect(sent[0][0]).toBe('GET');
+    expect(sent[0][1]).toBe(
+      'https://api.parse.com/1/classes/MyObject?' +
+      'where=%7B%22score%22%3A%7B%22%24gt%22%3A1%7D%7D&order=-score&limit=2'
+    );
+    expect(sent[0][2]).toBe('');
+    expect(sent[0][3]['Content-Type']).toBe('application/json');
+    expect(sent[0][3]['X-Parse-Application-Id']).toBe('A');
+    expect(sent[0][3]['X-Parse-JavaScript-Key']).toBe('B');
+    expect(sent[0][3]['X-Parse-Client-Version']).toBe('V');
+    expect(sent[0][3]['X-Parse-Installation-Id']).toBe('iid');
+    expect(sent[0][3]['X-Parse-Session-Token']).toBe('r:123');
+
+    expect(sent[1][0]).toBe('PUT');
+    expect(sent[1][1]).toBe('https://api.parse.com/1/classes/MyObject/abc');
+    expect(JSON.parse(sent[1][2])).toEqual({ score: 3 });
+  });
+
+  it('keeps login credentials out of URLs when sending headers', () => {
+    var sent = [];
+    CoreManager.set('REQUEST_TRANSPORT', (method, url, body, headers, done) => {
+      sent.push([method, url, body, headers]);
+      done({ status: 200, responseText: '{}' });
+      return function() {};
+    });
+    CoreManager.set('REQUEST_AUTH_MODE', 'headers');
+    RESTController.request('GET', 'login', { username: 'alice', password: 'secret' });
+    CoreManager.set('REQUEST_AUTH_MODE', 'body');
+    CoreManager.set('REQUEST_TRANSPORT', 'xhr');
+
+    expect(sent[0][0]).toBe('POST');
+    expect(sent[0][1]).toBe('https://api.parse.com/1/login');
+    expect(JSON.parse(sent[0][2])).toEqual({
+      username: 'alice',
+      password: 'secret',
+      _method: 'GET'
+    });
+    expect(sent[0][3]['X-Parse-Application-Id']).toBe('A');
+  });
+
+  it('refuses to send credentials as headers through XDomainRequest', () => {
+    var XMLHttpRequest = global.XMLHttpRequest;
+    global.XDomainRequest = function() {};
+    global.XMLHttpRequest = function() {};
+    jest.resetModuleRegistry();
+    try {
+      var IECoreManager = require('../CoreManager');
+      var IERESTController = require('../RESTController');
+      IECoreManager.set('REQUEST_AUTH_MODE', 'headers');
+      expect(IERESTController.request.bind(null, 'GET', 'users/me', {})).toThrow(
+        'Cannot send credentials as headers: XDomainRequest does not support headers.'
+      );
+    } finally {
+      delete global.XDomainRequest;
+      global.XMLHttpRequest = XMLHttpRequest;
+    }
+  });
+
+  it('throws for unknown auth modes', () => {
+    CoreManager.set('REQUEST_AUTH_MODE', 'pigeon');
+    expect(RESTController.request.bind(null, 'GET', 'users/me', {})).toThrow(
+      'Unknown request auth mode: pigeon'
+    );
+    CoreManager.set('REQUEST_AUTH_MODE', 'body');
+  });
 });
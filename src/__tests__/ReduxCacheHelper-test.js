@@ -0,0 +1,204 @@
+/**
+ * Copyright (c) 2015-present, Parse, LLC.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+jest.dontMock('../CoreManager');
+jest.dontMock('../matchesQuery');
+jest.dontMock('../ParseError');
+jest.dontMock('../ParsePromise');
+
+jest.dontMock('redux');
+jest.dontMock('../ReduxActionCreators');
+jest.dontMock('../ReduxCacheHelper');
+jest.dontMock('../ReduxReducers');
+jest.dontMock('../ReduxStore');
+
+var CoreManager = require('../CoreManager');
+var ParseError = require('../ParseError');
+var ParsePromise = require('../ParsePromise');
+var Store = require('../ReduxStore');
+var CacheHelper = require('../ReduxCacheHelper').default;
+var { isRef } = require('../ReduxCacheHelper');
+var { FunctionActions } = require('../ReduxActionCreators');
+
+var cacheHelper = new CacheHelper({ Actions: FunctionActions, namespace: 'Cloud' });
+
+var count = 0;
+function options() {
+  return { name: 'fn', grouping: 'g' + (count++) };
+}
+
+function getState(opts) {
+  return Store.getState().Parse.Cloud[opts.name][opts.grouping];
+}
+
+// moves the stored fetchedAt time back by the given number of ms
+function age(opts, ms) {
+  var fetchedAt = new Date(getState(opts).fetchedAt.getTime() - ms);
+  Store.dispatch(FunctionActions.saveResult({
+    ...opts,
+    result: getState(opts).cache,
+    fetchedAt
+  }));
+}
+
+describe('ReduxCacheHelper', () => {
+  beforeEach(() => {
+    CoreManager.set('CACHE_MAX_AGE', null);
+    CoreManager.set('CACHE_STALE_WHILE_REVALIDATE', false);
+  });
+
+  it('stores when results were fetched', () => {
+    var opts = options();
+    cacheHelper.refresh(() => ParsePromise.as([1]), opts);
+    expect(getState(opts).fetchedAt instanceof Date).toBe(true);
+
+    var fetchedAt = getState(opts).fetchedAt;
+    cacheHelper.append(() => ParsePromise.as([2]), opts);
+    expect(getState(opts).cache).toEqual([1, 2]);
+    expect(getState(opts).fetchedAt >= fetchedAt).toBe(true);
+  });
+
+  it('keeps caches forever by default', () => {
+    var opts = options();
+    var cb = jest.genMockFunction();
+    cb.mockReturnValue(ParsePromise.as([1]));
+    cacheHelper.init(cb, opts);
+    age(opts, 1000000);
+    cacheHelper.init(cb, opts);
+    expect(cb.mock.calls.length).toBe(1);
+  });
+
+  it('refreshes caches older than maxAge', () => {
+    var opts = options();
+    var cb = jest.genMockFunction();
+    cb.mockReturnValue(ParsePromise.as([1]));
+    cacheHelper.init(cb, opts, { maxAge: 1000 });
+    cacheHelper.init(cb, opts, { maxAge: 1000 });
+    expect(cb.mock.calls.length).toBe(1);
+
+    age(opts, 2000);
+    cacheHelper.init(cb, opts, { maxAge: 1000 });
+    expect(cb.mock.calls.length).toBe(2);
+  });
+
+  it('uses the global cache policy', () => {
+    var opts = options();
+    var cb = jest.genMockFunction();
+    cb.mockReturnValue(ParsePromise.as([1]));
+    CoreManager.set('CACHE_MAX_AGE', 1000);
+    cacheHelper.init(cb, opts);
+    age(opts, 2000);
+    cacheHelper.init(cb, opts);
+    expect(cb.mock.calls.length).toBe(2);
+
+    // per-call options take precedence
+    age(opts, 2000);
+    cacheHelper.init(cb, opts, { maxAge: 5000 });
+    expect(cb.mock.calls.length).toBe(2);
+  });
+
+  it('resolves with stale results while revalidating', () => {
+    var opts = options();
+    var policy = { maxAge: 1000, staleWhileRevalidate: true };
+    cacheHelper.init(() => ParsePromise.as([1]), opts, policy);
+    age(opts, 2000);
+
+    var request = new ParsePromise();
+    var result;
+    cacheHelper.init(() => request, opts, policy).then((r) => {
+      result = r;
+    });
+    expect(result).toEqual([1]);
+    expect(getState(opts).pending).toBe(true);
+
+    request.resolve([2]);
+    expect(getState(opts).cache).toEqual([2]);
+    expect(getState(opts).pending).toBe(false);
+  });
+
+  it('keeps the cache when a refresh is aborted', () => {
+    var opts = options();
+    cacheHelper.refresh(() => ParsePromise.as([1]), opts);
+
+    var request = new ParsePromise();
+    request._onAbort(() => {
+      request.reject(new ParseError(ParseError.ABORTED, 'The request was aborted.'));
+    });
+    var error;
+    var done = cacheHelper.refresh(() => request, opts);
+    done.then(null, (e) => {
+      error = e;
+    });
+    done.abort();
+
+    expect(error.code).toBe(ParseError.ABORTED);
+    expect(getState(opts).pending).toBe(false);
+    expect(getState(opts).cache).toEqual([1]);
+    expect(getState(opts).error).toBe(undefined);
+  });
+
+  it('only treats tagged references as objects', () => {
+    var opts = options();
+    var data = [{ className: 'Item', id: 'I1' }];
+    cacheHelper.refresh(() => ParsePromise.as(data), opts);
+    expect(cacheHelper.get(opts)).toEqual([{ className: 'Item', id: 'I1' }]);
+    expect(isRef(data[0])).toBe(false);
+    expect(isRef({ __ref: true, className: 'Item', id: 'I1' })).toBe(true);
+  });
+
+  it('keeps a shared request for callers that have not aborted', () => {
+    var opts = options();
+    var request = new ParsePromise();
+    var aborted = false;
+    request._onAbort(() => {
+      aborted = true;
+      request.reject(new ParseError(ParseError.ABORTED, 'The request was aborted.'));
+    });
+    var first = cacheHelper.init(() => request, opts);
+    var second = cacheHelper.init(() => request, opts);
+    var result = null;
+    second.then((r) => {
+      result = r;
+    });
+
+    first.abort();
+    expect(aborted).toBe(false);
+    request.resolve([1]);
+    expect(result).toEqual([1]);
+    expect(getState(opts).cache).toEqual([1]);
+
+    var next = options();
+    request = new ParsePromise();
+    request._onAbort(() => {
+      aborted = true;
+      request.reject(new ParseError(ParseError.ABORTED, 'The request was aborted.'));
+    });
+    first = cacheHelper.init(() => request, next);
+    second = cacheHelper.init(() => request, next);
+    first.abort();
+    second.abort();
+    expect(aborted).toBe(true);
+    expect(getState(next).pending).toBe(false);
+  });
+
+  it('resolves callers that init during an append with the whole cache', () => {
+    var opts = options();
+    cacheHelper.refresh(() => ParsePromise.as([1]), opts);
+    var request = new ParsePromise();
+    cacheHelper.append(() => request, opts);
+    var result = null;
+    cacheHelper.init(() => ParsePromise.as([9]), opts).then((r) => {
+      result = r;
+    });
+    expect(result).toBe(null);
+
+    request.resolve([2]);
+    expect(result).toEqual([1, 2]);
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Copyright (c) 2015-present, Parse, LLC.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+jest.dontMock('../arrayContainsObject');
+jest.dontMock('../Cloud');
+jest.dontMock('../CoreManager');
+jest.dontMock('../decode');
+jest.dontMock('../encode');
+jest.dontMock('../equals');
+jest.dontMock('../escape');
+jest.dontMock('../matchesQuery');
+jest.dontMock('../ObjectState');
+jest.dontMock('../parseDate');
+jest.dontMock('../ParseError');
+jest.dontMock('../ParseObject');
+jest.dontMock('../ParseOp');
+jest.dontMock('../ParsePromise');
+jest.dontMock('../ParseQuery');
+jest.dontMock('../ParseUser');
+jest.dontMock('../TaskQueue');
+jest.dontMock('../unique');
+
+jest.dontMock('redux');
+jest.dontMock('../ReduxActionCreators');
+jest.dontMock('../ReduxCacheHelper');
+jest.dontMock('../ReduxMiddleware');
+jest.dontMock('../ReduxReducers');
+jest.dontMock('../ReduxStore');
+
+var CoreManager = require('../CoreManager');
+var ParseObject = require('../ParseObject');
+var ParsePromise = require('../ParsePromise');
+var ParseQuery = require('../ParseQuery');
+var ParseUser = require('../ParseUser');
+var Store = require('../ReduxStore');
+var createMiddleware = require('../ReduxMiddleware');
+
+CoreManager.set('APPLICATION_ID', 'A');
+CoreManager.set('JAVASCRIPT_KEY', 'B');
+ParseObject.enableSingleInstance();
+ParseUser.enableUnsafeCurrentUser();
+
+// dispatches an action through the middleware, returning what it returns and
+// the actions it passed on
+function dispatch(action) {
+  var next = jest.genMockFunction();
+  var result = createMiddleware()(Store)(next)(action);
+  return { result, passed: next.mock.calls.map((call) => call[0]) };
+}
+
+describe('ReduxMiddleware', () => {
+  it('passes other actions on', () => {
+    var next = jest.genMockFunction();
+    next.mockReturnValue('next');
+    var action = { type: 'OTHER' };
+    expect(createMiddleware()(Store)(next)(action)).toBe('next');
+    expect(next.mock.calls[0][0]).toBe(action);
+  });
+
+  it('runs queries dispatched as JSON', () => {
+    var find = jest.genMockFunction();
+    find.mockReturnValue(ParsePromise.as({
+      results: [{ objectId: 'I1', score: 1 }]
+    }));
+    CoreManager.setQueryController({ find });
+
+    var query = new ParseQuery('Item');
+    query.greaterThan('score', 0);
+    query.descending('score');
+    query.limit(10);
+    var action = {
+      type: 'Parse/Query/FIND',
+      payload: { className: 'Item', query: query.toJSON(), grouping: 'top' }
+    };
+    var { result, passed } = dispatch(action);
+
+    expect(passed).toEqual([action]);
+    expect(find.mock.calls[0][0]).toBe('Item');
+    // cached results are sorted with objectId breaking ties
+    expect(find.mock.calls[0][1]).toEqual({ ...query.toJSON(), order: '-score,-objectId' });
+
+    var results;
+    result.then((r) => {
+      results = r;
+    });
+    expect(results[0].id).toBe('I1');
+    expect(query.find.get('top')[0].get('score')).toBe(1);
+  });
+
+  it('needs the className of queries dispatched as JSON', () => {
+    var find = jest.genMockFunction();
+    find.mockReturnValue(ParsePromise.as({ results: [] }));
+    CoreManager.setQueryController({ find });
+
+    var query = new ParseQuery('Item');
+    expect(dispatch.bind(null, {
+      type: 'Parse/Query/FIND',
+      payload: { query: query.toJSON(), grouping: 'json' }
+    })).toThrow('Queries dispatched as JSON need a className, or the Parse.Query itself.');
+    expect(find.mock.calls.length).toBe(0);
+
+    dispatch({
+      type: 'Parse/Query/FIND',
+      payload: { query, grouping: 'json' }
+    });
+    expect(find.mock.calls[0][0]).toBe('Item');
+  });
+
+  it('runs the given cache operation', () => {
+    var find = jest.genMockFunction();
+    find.mockReturnValue(ParsePromise.as({ results: [] }));
+    CoreManager.setQueryController({ find });
+
+    var query = new ParseQuery('Item');
+    query.find.refresh('init');
+    dispatch({
+      type: 'Parse/Query/FIND',
+      payload: { query, grouping: 'init', operation: 'init' }
+    });
+    expect(find.mock.calls.length).toBe(1);
+
+    expect(dispatch.bind(null, {
+      type: 'Parse/Query/FIND',
+      payload: { query, operation: 'remove' }
+    })).toThrow('Unknown operation: remove');
+  });
+
+  it('runs cloud functions', () => {
+    var run = jest.genMockFunction();
+    run.mockReturnValue(ParsePromise.as(4));
+    CoreManager.setCloudController({ run });
+
+    var { result } = dispatch({
+      type: 'Parse/Cloud/RUN',
+      payload: { name: 'score', data: { a: 1 } }
+    });
+    expect(run.mock.calls[0][0]).toBe('score');
+    expect(run.mock.calls[0][1]).toEqual({ a: 1 });
+
+    var value;
+    result.then((v) => {
+      value = v;
+    });
+    expect(value).toBe(4);
+  });
+
+  it('saves and destroys objects', () => {
+    var save = jest.genMockFunction();
+    save.mockReturnValue(ParsePromise.as());
+    var destroy = jest.genMockFunction();
+    destroy.mockReturnValue(ParsePromise.as());
+    CoreManager.setObjectController({
+      ...CoreManager.getObjectController(),
+      save,
+      destroy
+    });
+
+    dispatch({
+      type: 'Parse/Object/SAVE',
+      payload: { className: 'Item', id: 'I2', attributes: { score: 2 } }
+    });
+    var saved = save.mock.calls[save.mock.calls.length - 1][0];
+    expect(saved.id).toBe('I2');
+    expect(saved.get('score')).toBe(2);
+
+    var object = ParseObject.fromJSON({ className: 'Item', objectId: 'I3' });
+    dispatch({ type: 'Parse/Object/DESTROY', payload: { object } });
+    expect(destroy.mock.calls[0][0]).toBe(object);
+  });
+
+  it('logs users in and out', () => {
+    var logIn = jest.genMockFunction();
+    logIn.mockReturnValue(ParsePromise.as());
+    var logOut = jest.genMockFunction();
+    logOut.mockReturnValue(ParsePromise.as());
+    CoreManager.setUserController({
+      ...CoreManager.getUserController(),
+      logIn,
+      logOut
+    });
+
+    dispatch({
+      type: 'Parse/User/LOG_IN',
+      payload: { username: 'alice', password: 'secret' }
+    });
+    expect(logIn.mock.calls[0][0].get('username')).toBe('alice');
+
+    dispatch({ type: 'Parse/User/LOG_OUT' });
+    expect(logOut.mock.calls.length).toBe(1);
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Copyright (c) 2015-present, Parse, LLC.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+jest.dontMock('../arrayContainsObject');
+jest.dontMock('../canBeSerialized');
+jest.dontMock('../CoreManager');
+jest.dontMock('../decode');
+jest.dontMock('../encode');
+jest.dontMock('../equals');
+jest.dontMock('../escape');
+jest.dontMock('../matchesQuery');
+jest.dontMock('../ObjectState');
+jest.dontMock('../parseDate');
+jest.dontMock('../ParseACL');
+jest.dontMock('../ParseError');
+jest.dontMock('../ParseFile');
+jest.dontMock('../ParseGeoPoint');
+jest.dontMock('../ParseObject');
+jest.dontMock('../ParseOp');
+jest.dontMock('../ParsePromise');
+jest.dontMock('../ParseQuery');
+jest.dontMock('../ParseRelation');
+jest.dontMock('../Storage');
+jest.dontMock('../StorageController.default');
+jest.dontMock('../TaskQueue');
+jest.dontMock('../unique');
+jest.dontMock('../unsavedChildren');
+
+jest.dontMock('redux');
+jest.dontMock('../ReduxActionCreators');
+jest.dontMock('../ReduxCacheHelper');
+jest.dontMock('../ReduxPersistence');
+jest.dontMock('../ReduxReducers');
+jest.dontMock('../ReduxStore');
+
+var CoreManager = require('../CoreManager');
+var ParseACL = require('../ParseACL');
+var ParseGeoPoint = require('../ParseGeoPoint');
+var ParseObject = require('../ParseObject');
+var ParsePromise = require('../ParsePromise');
+var ParseQuery = require('../ParseQuery');
+var Persistence = require('../ReduxPersistence');
+var Storage = require('../Storage');
+var Store = require('../ReduxStore');
+var {
+  ObjectActions,
+  ParseActions,
+  QueryActions
+} = require('../ReduxActionCreators');
+
+CoreManager.set('APPLICATION_ID', 'A');
+CoreManager.set('JAVASCRIPT_KEY', 'B');
+ParseObject.enableSingleInstance();
+
+function createItem(id, attributes) {
+  var json = { className: 'Item', objectId: id, createdAt: '2015-01-01T00:00:00.000Z' };
+  for (var attr in attributes) {
+    json[attr] = attributes[attr];
+  }
+  return ParseObject.fromJSON(json);
+}
+
+// serializes the state through JSON, as storage would, then starts over
+function restart(slices) {
+  var json = JSON.stringify(Persistence.serializeState(Store.getState().Parse, slices));
+  Store.dispatch(ParseActions.rehydrate({ Object: {}, Query: {}, Cloud: {}, User: {} }));
+  return JSON.parse(json);
+}
+
+describe('ReduxPersistence', () => {
+  beforeEach(() => {
+    Persistence.disable();
+    Store.dispatch(ObjectActions._clearAllState());
+    Storage._clear();
+  });
+
+  it('restores objects with their pending changes', () => {
+    var item = createItem('I1', {
+      score: 1,
+      location: { __type: 'GeoPoint', latitude: 10, longitude: 20 },
+      ACL: { '*': { read: true } }
+    });
+    item.increment('score');
+    item.set('name', 'first');
+    item.add('tags', createItem('I2'));
+
+    Persistence.rehydrateState(restart());
+
+    item = ParseObject._fromState('Item', 'I1');
+    expect(item.get('score')).toBe(2);
+    expect(item.get('name')).toBe('first');
+    expect(item.get('tags')[0].id).toBe('I2');
+    expect(item.get('location') instanceof ParseGeoPoint).toBe(true);
+    expect(item.getACL() instanceof ParseACL).toBe(true);
+    expect(item.getACL().getPublicReadAccess()).toBe(true);
+    expect(item.dirtyKeys().sort()).toEqual(['name', 'score', 'tags']);
+    expect(item.createdAt instanceof Date).toBe(true);
+    expect(item.existed()).toBe(true);
+  });
+
+  it('restores query caches without their pending flags', () => {
+    var options = { name: 'Item', grouping: 'all' };
+    Store.dispatch(QueryActions.setPending(options));
+    createItem('I1', { score: 5 });
+    Store.dispatch(QueryActions.saveResult({
+      ...options,
+      result: [{ __ref: true, className: 'Item', id: 'I1' }],
+      fetchedAt: new Date(0)
+    }));
+    Store.dispatch(QueryActions.setPending(options));
+
+    Persistence.rehydrateState(restart(['Object', 'Query']), ['Object', 'Query']);
+
+    var state = Store.getState().Parse.Query.Item.all;
+    expect(state.pending).toBe(false);
+    expect(state.fetchedAt.getTime()).toBe(0);
+    expect(state.cache).toEqual([{ __ref: true, className: 'Item', id: 'I1' }]);
+    expect(ParseObject._fromState('Item', 'I1').get('score')).toBe(5);
+  });
+
+  it('leaves out unsaved objects', () => {
+    var item = new ParseObject('Item');
+    item.set('score', 1);
+    var serialized = Persistence.serializeState(Store.getState().Parse, ['Object']);
+    expect(serialized.Object.Item).toEqual({});
+  });
+
+  it('keeps objects already in the state', () => {
+    createItem('I1', { score: 1 });
+    var serialized = restart(['Object']);
+    createItem('I1', { score: 3 });
+
+    Persistence.rehydrateState(serialized, ['Object']);
+    expect(ParseObject._fromState('Item', 'I1').get('score')).toBe(3);
+  });
+
+  it('throws on unknown slices', () => {
+    expect(Persistence.serializeState.bind(null, {}, ['Items'])).toThrow(
+      'Unknown state slice: Items'
+    );
+  });
+
+  it('hydrates caches from a snapshot', () => {
+    var find = jest.genMockFunction();
+    find.mockReturnValue(ParsePromise.as({ results: [{ objectId: 'I1', score: 5 }] }));
+    CoreManager.setQueryController({ find });
+    var query = new ParseQuery('Item');
+    query.find.init('all');
+    expect(find.mock.calls.length).toBe(1);
+
+    var snapshot = JSON.parse(JSON.stringify(Persistence.dehydrate()));
+    expect(snapshot.User).toBe(undefined);
+    Store.dispatch(ParseActions.rehydrate({ Object: {}, Query: {}, Cloud: {}, User: {} }));
+
+    Persistence.hydrate(snapshot);
+    var results;
+    query.find.init('all').then((r) => {
+      results = r;
+    });
+    expect(find.mock.calls.length).toBe(1);
+    expect(results[0].get('score')).toBe(5);
+  });
+
+  it('keys snapshots of a server without single instance objects by id', () => {
+    var find = jest.genMockFunction();
+    find.mockReturnValue(ParsePromise.as({ results: [{ objectId: 'I1', score: 5 }] }));
+    CoreManager.setQueryController({ find });
+    var snapshot;
+    ParseObject.disableSingleInstance();
+    try {
+      createItem('I1', { score: 4 });
+      new ParseQuery('Item').find.init('server');
+      snapshot = JSON.parse(JSON.stringify(Persistence.dehydrate()));
+    } finally {
+      ParseObject.enableSingleInstance();
+    }
+    expect(Object.keys(snapshot.Object.Item)).toEqual(['I1']);
+    expect(snapshot.Object.Item.I1.serverData.score).toBe(5);
+    Store.dispatch(ParseActions.rehydrate({ Object: {}, Query: {}, Cloud: {}, User: {} }));
+
+    Persistence.hydrate(snapshot);
+    var results;
+    new ParseQuery('Item').find.init('server').then((r) => {
+      results = r;
+    });
+    expect(find.mock.calls.length).toBe(1);
+    expect(results[0].id).toBe('I1');
+    expect(results[0].get('score')).toBe(5);
+  });
+
+  it('leaves session tokens out of snapshots', () => {
+    ParseObject.fromJSON({
+      className: '_User',
+      objectId: 'U1',
+      username: 'alice',
+      sessionToken: 'r:123'
+    });
+    var snapshot = Persistence.dehydrate();
+    expect(snapshot.Object._User.U1.serverData.username).toBe('alice');
+    expect(snapshot.Object._User.U1.serverData.sessionToken).toBe(undefined);
+    expect(ParseObject._fromState('_User', 'U1').get('sessionToken')).toBe('r:123');
+  });
+
+  it('restores and writes the state through storage', () => {
+    var path = Storage.generatePath('reduxState');
+    createItem('I1', { score: 1 });
+    Storage.setItem(path, JSON.stringify(restart(['Object'])));
+
+    Persistence.enable({ slices: ['Object'], throttleMs: 100 });
+    var item = ParseObject._fromState('Item', 'I1');
+    expect(item.get('score')).toBe(1);
+
+    item.set('score', 2);
+    jest.runAllTimers();
+    var stored = JSON.parse(Storage.getItem(path));
+    expect(stored.Object.Item.I1.pendingOps).toEqual([
+      { score: { __op: 'Set', value: 2 } }
+    ]);
+    expect(stored.Query).toBe(undefined);
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * Copyright (c) 2015-present, Parse, LLC.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+jest.dontMock('../matchesQuery');
+jest.dontMock('../ObjectState');
+jest.dontMock('../ParsePromise');
+
+jest.dontMock('redux');
+jest.dontMock('../ReduxActionCreators');
+jest.dontMock('../ReduxCacheHelper');
+jest.dontMock('../ReduxReducers');
+
+var parseReducer = require('../ReduxReducers').default;
+var {
+  ObjectActions,
+  ParseActions,
+  QueryActions
+} = require('../ReduxActionCreators');
+
+function reduce(actions) {
+  return actions.reduce(parseReducer, undefined);
+}
+
+describe('Query reducer', () => {
+  var options = { name: 'Item', grouping: 'all' };
+  var error = { code: 141, message: 'failed', timestamp: new Date(0) };
+
+  it('stores errors and clears the pending flag', () => {
+    var state = reduce([
+      QueryActions.setPending(options),
+      QueryActions.setError({ ...options, error })
+    ]);
+    expect(state.Query.Item.all).toEqual({
+      pending: false,
+      error
+    });
+  });
+
+  it('keeps the previous cache when a request fails', () => {
+    var state = reduce([
+      QueryActions.saveResult({ ...options, result: [1, 2] }),
+      QueryActions.setPending(options),
+      QueryActions.setError({ ...options, error })
+    ]);
+    expect(state.Query.Item.all.cache).toEqual([1, 2]);
+    expect(state.Query.Item.all.error).toBe(error);
+  });
+
+  it('clears errors on the next successful request', () => {
+    var state = reduce([
+      QueryActions.setPending(options),
+      QueryActions.setError({ ...options, error }),
+      QueryActions.setPending(options),
+      QueryActions.saveResult({ ...options, result: [] })
+    ]);
+    expect(state.Query.Item.all.error).toBe(undefined);
+
+    state = reduce([
+      QueryActions.setPending(options),
+      QueryActions.setError({ ...options, error }),
+      QueryActions.setPending(options),
+      QueryActions.appendResult({ ...options, result: [3] })
+    ]);
+    expect(state.Query.Item.all.error).toBe(undefined);
+  });
+});
+
+describe('Query cache sync', () => {
+  // plain rows, as reducers never read objects through the store
+  function row(id, score) {
+    return { className: 'Item', id, attributes: { score } };
+  }
+
+  // an object as sync actions carry it, along with what caches hold for it
+  function synced(id, score) {
+    return { ...row(id, score), value: row(id, score) };
+  }
+
+  var query = { where: { score: { $gt: 2 } }, order: '-score', limit: 3 };
+  var options = { name: 'Item', grouping: 'sync', query };
+
+  function cachedIds(rows, end, action) {
+    var state = reduce([
+      QueryActions.setPending(options),
+      QueryActions.saveResult({ ...options, result: rows }),
+      QueryActions.estimateEndOfResults({
+        ...options,
+        limit: 3,
+        length: end ? 2 : 3,
+        operation: 'appendResult'
+      }),
+      action
+    ]);
+    return state.Query.Item.sync.cache.map((o) => o.id);
+  }
+
+  it('inserts matching objects in sort order', () => {
+    expect(cachedIds(
+      [row('a', 9), row('c', 3)],
+      true,
+      QueryActions.syncObject({ className: 'Item', object: synced('b', 5) })
+    )).toEqual(['a', 'b', 'c']);
+  });
+
+  it('ignores objects that do not match the query', () => {
+    expect(cachedIds(
+      [row('a', 9), row('c', 3)],
+      true,
+      QueryActions.syncObject({ className: 'Item', object: synced('b', 1) })
+    )).toEqual(['a', 'c']);
+  });
+
+  it('moves and removes objects that changed', () => {
+    expect(cachedIds(
+      [row('a', 9), row('c', 3)],
+      true,
+      QueryActions.syncObject({ className: 'Item', object: synced('a', 1) })
+    )).toEqual(['c']);
+
+    expect(cachedIds(
+      [row('a', 9), row('c', 3)],
+      true,
+      QueryActions.syncObject({ className: 'Item', object: synced('a', 2.5) })
+    )).toEqual(['c', 'a']);
+  });
+
+  it('respects the limit of a full page of results', () => {
+    expect(cachedIds(
+      [row('a', 9), row('b', 7), row('c', 5)],
+      false,
+      QueryActions.syncObject({ className: 'Item', object: synced('d', 8) })
+    )).toEqual(['a', 'd', 'b']);
+
+    expect(cachedIds(
+      [row('a', 9), row('b', 7), row('c', 5)],
+      false,
+      QueryActions.syncObject({ className: 'Item', object: synced('d', 4) })
+    )).toEqual(['a', 'b', 'c']);
+  });
+
+  it('removes destroyed objects', () => {
+    expect(cachedIds(
+      [row('a', 9), row('c', 3)],
+      true,
+      QueryActions.removeObject({ className: 'Item', id: 'a' })
+    )).toEqual(['c']);
+  });
+
+  it('sorts cached references by the state of their objects', () => {
+    var objects = [['a', 9], ['c', 3]].map(([id, score]) => {
+      return ObjectActions.setServerData({ className: 'Item', id, attributes: { score } });
+    });
+    var state = reduce([
+      ObjectActions.initializeState({ className: 'Item', id: 'a' }),
+      ObjectActions.initializeState({ className: 'Item', id: 'c' }),
+      ...objects,
+      QueryActions.saveResult({
+        ...options,
+        result: [
+          { __ref: true, className: 'Item', id: 'a' },
+          { __ref: true, className: 'Item', id: 'c' }
+        ]
+      }),
+      QueryActions.syncObject({ className: 'Item', object: synced('b', 5) })
+    ]);
+    expect(state.Query.Item.sync.cache.map((o) => o.id)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('only syncs the caches with the given keys', () => {
+    var state = reduce([
+      QueryActions.saveResult({ ...options, result: [row('a', 9)] }),
+      QueryActions.saveResult({ ...options, grouping: 'other', result: [row('a', 9)] }),
+      QueryActions.syncObject({ className: 'Item', object: synced('b', 5), keys: ['other'] })
+    ]);
+    expect(state.Query.Item.sync.cache.map((o) => o.id)).toEqual(['a']);
+    expect(state.Query.Item.other.cache.map((o) => o.id)).toEqual(['a', 'b']);
+  });
+
+  it('rolls back caches that have not changed since', () => {
+    var state = reduce([
+      QueryActions.saveResult({ ...options, result: [row('a', 9)] }),
+      QueryActions.saveResult({ ...options, grouping: 'other', result: [row('a', 9)] })
+    ]);
+    var previous = state.Query.Item.sync.cache;
+    state = parseReducer(state, QueryActions.removeObject({ className: 'Item', id: 'a' }));
+    var entries = ['sync', 'other'].map((key) => {
+      return { key, previous, optimistic: state.Query.Item[key].cache };
+    });
+    state = parseReducer(state, QueryActions.syncObject({
+      className: 'Item',
+      object: synced('c', 4),
+      keys: ['other']
+    }));
+
+    state = parseReducer(state, ParseActions.rollback({ className: 'Item', id: 'a', entries }));
+    expect(state.Query.Item.sync.cache).toBe(previous);
+    expect(state.Query.Item.other.cache.map((o) => o.id)).toEqual(['c']);
+  });
+});
+
+describe('Object reducer', () => {
+  var object = { className: 'Item', id: 'I1' };
+
+  it('tracks request status', () => {
+    var time = new Date(0);
+    var state = reduce([
+      ObjectActions.initializeState(object),
+      ObjectActions.setStatus({ ...object, status: 'saving', value: true })
+    ]);
+    expect(state.Object.Item.I1.status).toEqual({ saving: true });
+
+    state = parseReducer(state, ObjectActions.setStatus({
+      ...object,
+      status: 'saving',
+      value: false,
+      time
+    }));
+    expect(state.Object.Item.I1.status).toEqual({
+      saving: false,
+      savedAt: time
+    });
+  });
+
+  it('stores errors until the next successful request', () => {
+    var error = { code: 101, message: 'Object not found.', timestamp: new Date(0) };
+    var state = reduce([
+      ObjectActions.initializeState(object),
+      ObjectActions.setStatus({ ...object, status: 'fetching', value: true }),
+      ObjectActions.setStatus({ ...object, status: 'fetching', value: false, error })
+    ]);
+    expect(state.Object.Item.I1.status.error).toBe(error);
+
+    state = parseReducer(state, ObjectActions.setStatus({
+      ...object,
+      status: 'fetching',
+      value: false,
+      time: new Date()
+    }));
+    expect(state.Object.Item.I1.status.error).toBe(undefined);
+  });
+});
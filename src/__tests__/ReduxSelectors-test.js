@@ -0,0 +1,163 @@
+/**
+ * Copyright (c) 2015-present, Parse, LLC.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+jest.dontMock('../arrayContainsObject');
+jest.dontMock('../CoreManager');
+jest.dontMock('../decode');
+jest.dontMock('../encode');
+jest.dontMock('../equals');
+jest.dontMock('../escape');
+jest.dontMock('../matchesQuery');
+jest.dontMock('../ObjectState');
+jest.dontMock('../parseDate');
+jest.dontMock('../ParseError');
+jest.dontMock('../ParseObject');
+jest.dontMock('../ParseOp');
+jest.dontMock('../ParsePromise');
+jest.dontMock('../ParseQuery');
+jest.dontMock('../TaskQueue');
+jest.dontMock('../unique');
+
+jest.dontMock('redux');
+jest.dontMock('../ReduxActionCreators');
+jest.dontMock('../ReduxCacheHelper');
+jest.dontMock('../ReduxReducers');
+jest.dontMock('../ReduxSelectors');
+jest.dontMock('../ReduxStore');
+
+var CoreManager = require('../CoreManager');
+var ParseObject = require('../ParseObject');
+var ParsePromise = require('../ParsePromise');
+var ParseQuery = require('../ParseQuery');
+var Store = require('../ReduxStore');
+var {
+  selectCloudResult,
+  selectCurrentUser,
+  selectObject,
+  selectQueryResult
+} = require('../ReduxSelectors');
+var {
+  FunctionActions,
+  ObjectActions,
+  QueryActions,
+  UserActions
+} = require('../ReduxActionCreators');
+
+CoreManager.set('APPLICATION_ID', 'A');
+CoreManager.set('JAVASCRIPT_KEY', 'B');
+ParseObject.enableSingleInstance();
+
+function createItem(id, attributes) {
+  var json = { className: 'Item', objectId: id };
+  for (var attr in attributes) {
+    json[attr] = attributes[attr];
+  }
+  return ParseObject.fromJSON(json);
+}
+
+describe('ReduxSelectors', () => {
+  beforeEach(() => {
+    Store.dispatch(ObjectActions._clearAllState());
+  });
+
+  it('selects objects with their unsaved changes', () => {
+    var item = createItem('I1', { score: 1, name: 'first' });
+    item.increment('score');
+
+    var snapshot = selectObject(Store.getState(), 'Item', 'I1');
+    expect(snapshot.className).toBe('Item');
+    expect(snapshot.id).toBe('I1');
+    expect(snapshot.attributes).toEqual({ score: 2, name: 'first' });
+    expect(selectObject(Store.getState(), 'Item', 'I2')).toBe(undefined);
+  });
+
+  it('returns the same snapshot until the object changes', () => {
+    var item = createItem('I1', { score: 1 });
+    createItem('I2', { score: 1 });
+    var first = selectObject(Store.getState(), 'Item', 'I1');
+
+    createItem('I2', { score: 2 });
+    expect(selectObject(Store.getState(), 'Item', 'I1')).toBe(first);
+
+    var before = Store.getState();
+    item.set('score', 3);
+    var changed = selectObject(Store.getState(), 'Item', 'I1');
+    expect(changed).not.toBe(first);
+    expect(changed.attributes.score).toBe(3);
+
+    // older states are read as they were
+    expect(selectObject(before, 'Item', 'I1').attributes.score).toBe(1);
+  });
+
+  it('selects query results from the object state', () => {
+    var query = new ParseQuery('Item');
+    var item = createItem('I1', { score: 1 });
+    Store.dispatch(QueryActions.saveResult({ name: 'Item', grouping: 'all', result: [item] }));
+
+    var result = selectQueryResult(Store.getState(), query, 'all');
+    expect(result.length).toBe(1);
+    expect(result[0].attributes.score).toBe(1);
+
+    createItem('I2', { score: 2 });
+    expect(selectQueryResult(Store.getState(), query, 'all')).toBe(result);
+
+    item.set('score', 5);
+    var changed = selectQueryResult(Store.getState(), query, 'all');
+    expect(changed).not.toBe(result);
+    expect(changed[0].attributes.score).toBe(5);
+    expect(selectQueryResult(Store.getState(), query, 'other')).toBe(undefined);
+  });
+
+  it('reads cached references from the object state', () => {
+    CoreManager.setQueryController({
+      find() {
+        return ParsePromise.as({
+          results: [{ objectId: 'I1', score: 1 }, { objectId: 'I2', score: 2 }]
+        });
+      }
+    });
+    var query = new ParseQuery('Item');
+    query.find.refresh('refs');
+    expect(Store.getState().Parse.Query.Item.refs.cache).toEqual([
+      { __ref: true, className: 'Item', id: 'I1' },
+      { __ref: true, className: 'Item', id: 'I2' }
+    ]);
+
+    var item = query.find.get('refs')[0];
+    expect(item instanceof ParseObject).toBe(true);
+    expect(item.get('score')).toBe(1);
+
+    item.set('score', 3);
+    expect(query.find.get('refs')[0].get('score')).toBe(3);
+    expect(selectQueryResult(Store.getState(), query, 'refs')[0].attributes.score).toBe(3);
+  });
+
+  it('selects cloud results', () => {
+    var item = createItem('I1', { score: 1 });
+    Store.dispatch(FunctionActions.saveResult({ name: 'top', data: {}, result: [item, 4] }));
+    var result = selectCloudResult(Store.getState(), 'top', {});
+    expect(result[0].attributes.score).toBe(1);
+    expect(result[1]).toBe(4);
+    expect(selectCloudResult(Store.getState(), 'top', {})).toBe(result);
+  });
+
+  it('selects the current user', () => {
+    expect(selectCurrentUser(Store.getState())).toBe(undefined);
+    ParseObject.fromJSON({ className: '_User', objectId: 'U1', username: 'alice' });
+    Store.dispatch(UserActions.set({ id: 'U1' }));
+    expect(selectCurrentUser(Store.getState()).attributes.username).toBe('alice');
+  });
+
+  it('requires the Parse state', () => {
+    expect(selectObject.bind(null, {}, 'Item', 'I1')).toThrow(
+      'The Parse state was not found. Name the Parse reducer Parse at the top ' +
+      'level of the state, or pass a selector to Parse.setStore().'
+    );
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Copyright (c) 2015-present, Parse, LLC.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+jest.dontMock('../arrayContainsObject');
+jest.dontMock('../CoreManager');
+jest.dontMock('../decode');
+jest.dontMock('../encode');
+jest.dontMock('../equals');
+jest.dontMock('../escape');
+jest.dontMock('../matchesQuery');
+jest.dontMock('../ObjectState');
+jest.dontMock('../parseDate');
+jest.dontMock('../ParseError');
+jest.dontMock('../ParseObject');
+jest.dontMock('../ParseOp');
+jest.dontMock('../ParsePromise');
+jest.dontMock('../ParseQuery');
+jest.dontMock('../TaskQueue');
+jest.dontMock('../unique');
+
+jest.dontMock('redux');
+jest.dontMock('../ReduxActionCreators');
+jest.dontMock('../ReduxCacheHelper');
+jest.dontMock('../ReduxReducers');
+jest.dontMock('../ReduxSelectors');
+jest.dontMock('../ReduxStore');
+
+var { createStore, combineReducers } = require('redux');
+var CoreManager = require('../CoreManager');
+var ParseObject = require('../ParseObject');
+var ParsePromise = require('../ParsePromise');
+var ParseQuery = require('../ParseQuery');
+var parseReducer = require('../ReduxReducers').default;
+var { selectObject } = require('../ReduxSelectors');
+var Store = require('../ReduxStore');
+
+CoreManager.set('APPLICATION_ID', 'A');
+CoreManager.set('JAVASCRIPT_KEY', 'B');
+ParseObject.enableSingleInstance();
+
+var store = createStore(combineReducers({
+  entities: combineReducers({ parse: parseReducer })
+}));
+Store.set(store, { selector: (state) => state.entities.parse });
+
+describe('ReduxStore', () => {
+  it('reads the Parse state with the selector', () => {
+    expect(Store.getParseState()).toBe(store.getState().entities.parse);
+    expect(Store.selectParseState(store.getState())).toBe(Store.getParseState());
+  });
+
+  it('keeps objects and caches under the selected state', () => {
+    var item = ParseObject.fromJSON({ className: 'Item', objectId: 'I1', score: 1 });
+    expect(store.getState().entities.parse.Object.Item.I1.serverData.score).toBe(1);
+    expect(selectObject(store.getState(), 'Item', 'I1').attributes.score).toBe(1);
+
+    item.set('score', 2);
+    expect(item.get('score')).toBe(2);
+
+    CoreManager.setQueryController({
+      find() {
+        return ParsePromise.as({ results: [{ objectId: 'I1', score: 3 }] });
+      }
+    });
+    var query = new ParseQuery('Item');
+    query.find.refresh('all');
+    expect(store.getState().entities.parse.Query.Item.all.cache).toEqual([
+      { __ref: true, className: 'Item', id: 'I1' }
+    ]);
+    expect(query.find.get('all')[0].id).toBe('I1');
+  });
+
+  it('dispatches the actions of a batch together', () => {
+    var updates = 0;
+    var unsubscribe = store.subscribe(() => {
+      updates++;
+    });
+    var before = store.getState();
+    var result = Store.batch(() => {
+      ParseObject.fromJSON({ className: 'Item', objectId: 'B1', score: 1 });
+      ParseObject.fromJSON({ className: 'Item', objectId: 'B2', score: 2 });
+      // the batched state is read until the batch is dispatched
+      expect(Store.getParseState().Object.Item.B1.serverData.score).toBe(1);
+      expect(store.getState()).toBe(before);
+      return 'done';
+    });
+    unsubscribe();
+
+    expect(result).toBe('done');
+    expect(updates).toBe(1);
+    expect(Store.getParseState().Object.Item.B2.serverData.score).toBe(2);
+  });
+
+  it('stores query results with a single update', () => {
+    CoreManager.setQueryController({
+      find() {
+        return ParsePromise.as({
+          results: [{ objectId: 'Q1' }, { objectId: 'Q2' }, { objectId: 'Q3' }]
+        });
+      }
+    });
+    var updates = 0;
+    var unsubscribe = store.subscribe(() => {
+      updates++;
+    });
+    new ParseQuery('Item').find();
+    unsubscribe();
+
+    expect(updates).toBe(1);
+    expect(Store.getParseState().Object.Item.Q3).not.toBe(undefined);
+  });
+
+  it('dispatches a batch that throws', () => {
+    expect(() => {
+      Store.batch(() => {
+        ParseObject.fromJSON({ className: 'Item', objectId: 'B3' });
+        throw new Error('failed');
+      });
+    }).toThrow('failed');
+    expect(Store.getParseState().Object.Item.B3).not.toBe(undefined);
+  });
+});
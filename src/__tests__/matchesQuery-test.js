@@ -0,0 +1,142 @@
+/**
+ * Copyright (c) 2015-present, Parse, LLC.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+
+jest.dontMock('../matchesQuery');
+jest.dontMock('../ObjectState');
+jest.dontMock('../ParseGeoPoint');
+
+var matchesQuery = require('../matchesQuery').default;
+var { objectsFromState, runQuery } = require('../matchesQuery');
+
+function row(className, id, attributes) {
+  return { className, id, attributes };
+}
+
+var items = [
+  row('Item', 'a', { score: 9, name: 'Apple', tags: ['red', 'fruit'] }),
+  row('Item', 'b', { score: 5, name: 'banana', tags: ['yellow', 'fruit'] }),
+  row('Item', 'c', { score: 3, name: 'Carrot', owner: { __type: 'Pointer', className: 'User', objectId: 'u1' } }),
+];
+
+function ids(rows) {
+  return rows.map((r) => r.id);
+}
+
+describe('matchesQuery', () => {
+  it('matches equality and comparisons', () => {
+    expect(matchesQuery(items[0], { score: 9 })).toBe(true);
+    expect(matchesQuery(items[0], { score: { $gt: 5, $lte: 9 } })).toBe(true);
+    expect(matchesQuery(items[1], { score: { $gt: 5 } })).toBe(false);
+    expect(matchesQuery(items[0], { objectId: 'a' })).toBe(true);
+    expect(matchesQuery(items[0], { tags: 'fruit' })).toBe(true);
+    expect(matchesQuery(items[2], { tags: { $exists: false } })).toBe(true);
+  });
+
+  it('matches array constraints', () => {
+    expect(matchesQuery(items[0], { tags: { $all: ['red', 'fruit'] } })).toBe(true);
+    expect(matchesQuery(items[1], { tags: { $all: ['red', 'fruit'] } })).toBe(false);
+    expect(matchesQuery(items[1], { score: { $in: [1, 5] } })).toBe(true);
+    expect(matchesQuery(items[1], { score: { $nin: [1, 5] } })).toBe(false);
+  });
+
+  it('matches regular expressions', () => {
+    expect(matchesQuery(items[1], { name: { $regex: '^\\Qban\\E' } })).toBe(true);
+    expect(matchesQuery(items[0], { name: { $regex: '^\\Qapp\\E' } })).toBe(false);
+    expect(matchesQuery(items[0], { name: { $regex: '^app', $options: 'i' } })).toBe(true);
+    expect(matchesQuery(items[0], { name: { $regex: '\\Q.\\E' } })).toBe(false);
+  });
+
+  it('matches pointers and compound queries', () => {
+    var owner = { __type: 'Pointer', className: 'User', objectId: 'u1' };
+    expect(matchesQuery(items[2], { owner })).toBe(true);
+    expect(matchesQuery(items[0], { owner })).toBe(false);
+    expect(matchesQuery(items[0], {
+      $or: [{ score: 1 }, { name: 'Apple' }]
+    })).toBe(true);
+    expect(matchesQuery(items[0], {
+      $and: [{ score: 9 }, { name: 'Carrot' }]
+    })).toBe(false);
+  });
+
+  it('matches geo queries', () => {
+    var sf = row('Place', 'sf', { location: { __type: 'GeoPoint', latitude: 37.77, longitude: -122.42 } });
+    var center = { __type: 'GeoPoint', latitude: 37.8, longitude: -122.4 };
+    expect(matchesQuery(sf, {
+      location: { $nearSphere: center, $maxDistanceInKilometers: 10 }
+    })).toBe(true);
+    expect(matchesQuery(sf, {
+      location: { $nearSphere: center, $maxDistanceInMiles: 1 }
+    })).toBe(false);
+    expect(matchesQuery(sf, {
+      location: { $within: { $box: [
+        { __type: 'GeoPoint', latitude: 37, longitude: -123 },
+        { __type: 'GeoPoint', latitude: 38, longitude: -122 }
+      ] } }
+    })).toBe(true);
+  });
+
+  it('evaluates subqueries with a source of objects', () => {
+    var users = [
+      row('User', 'u1', { admin: true }),
+      row('User', 'u2', { admin: false })
+    ];
+    var getRows = (className) => className === 'User' ? users : items;
+    var where = {
+      owner: { $inQuery: { className: 'User', where: { admin: true } } }
+    };
+    expect(matchesQuery(items[2], where, getRows)).toBe(true);
+    expect(matchesQuery(items[0], where, getRows)).toBe(false);
+    expect(matchesQuery.bind(null, items[2], where)).toThrow(
+      'Queries on other classes need a source of objects'
+    );
+  });
+
+  it('throws on unsupported operators', () => {
+    expect(matchesQuery.bind(null, items[0], { score: { $foo: 1 } })).toThrow(
+      'Unsupported query operator: $foo'
+    );
+  });
+});
+
+describe('runQuery', () => {
+  it('filters, sorts and pages rows', () => {
+    expect(ids(runQuery(items, { where: { tags: 'fruit' } }))).toEqual(['a', 'b']);
+    expect(ids(runQuery(items, { where: {}, order: 'score' }))).toEqual(['c', 'b', 'a']);
+    expect(ids(runQuery(items, { where: {}, order: '-score', skip: 1, limit: 1 }))).toEqual(['b']);
+  });
+
+  it('sorts by distance for nearSphere queries', () => {
+    var near = row('Place', 'near', { location: { __type: 'GeoPoint', latitude: 1, longitude: 1 } });
+    var far = row('Place', 'far', { location: { __type: 'GeoPoint', latitude: 10, longitude: 10 } });
+    var center = { __type: 'GeoPoint', latitude: 0, longitude: 0 };
+    expect(ids(runQuery([far, near], {
+      where: { location: { $nearSphere: center } }
+    }))).toEqual(['near', 'far']);
+  });
+});
+
+describe('objectsFromState', () => {
+  it('includes saved objects that have not been destroyed', () => {
+    var state = {
+      Item: {
+        a: { serverData: { createdAt: new Date(), score: 1 }, pendingOps: [{}] },
+        local0: { serverData: {}, pendingOps: [{}] },
+        b: {
+          serverData: { createdAt: new Date() },
+          pendingOps: [{}],
+          status: { destroyedAt: new Date() }
+        }
+      }
+    };
+    var rows = objectsFromState(state, 'Item');
+    expect(ids(rows)).toEqual(['a']);
+    expect(rows[0].attributes.score).toBe(1);
+    expect(objectsFromState(state, 'Other')).toEqual([]);
+  });
+});
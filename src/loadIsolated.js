@@ -0,0 +1,51 @@
+/**
+ * Copyright (c) 2015-present, Parse, LLC.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ */
+
+/**
+ * Loads a separate copy of the SDK from Node's module cache. Every module of
+ * the SDK is evaluated again, so the copy shares no configuration,
+ * controllers, objects or store with the modules already loaded, which are
+ * left in the cache as they were.
+ */
+export default function loadIsolated(): any {
+  var cache = require.cache;
+  var main = require.resolve('./Parse');
+  var dir = main.slice(0, main.length - 'Parse.js'.length);
+
+  var isSDK = (key) => key.indexOf(dir) === 0;
+  var loaded = {};
+  for (var key in cache) {
+    if (isSDK(key)) {
+      loaded[key] = cache[key];
+      delete cache[key];
+    }
+  }
+
+  try {
+    return require('./Parse');
+  } finally {
+    var copy = cache[main];
+    for (key in cache) {
+      if (isSDK(key)) {
+        delete cache[key];
+      }
+    }
+    for (key in loaded) {
+      cache[key] = loaded[key];
+    }
+    // Node records the copy as a child of this module, which would keep it
+    // alive after the instance is released
+    var children = module.children;
+    if (copy && children && children.indexOf(copy) > -1) {
+      children.splice(children.indexOf(copy), 1);
+    }
+  }
+}
@@ -0,0 +1,414 @@
+/**
+ * Copyright (c) 2015-present, Parse, LLC.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @flow
+ */
+
+import { estimateStateAttributes } from './ObjectState';
+import ParseGeoPoint from './ParseGeoPoint';
+import ParseObject from './ParseObject';
+
+import type { AttributeMap } from './ObjectState';
+import type { QueryJSON, WhereClause } from './ParseQuery';
+
+/**
+ * Queries can be evaluated against ParseObjects, or against rows built from
+ * the Object slice of the Redux state with objectsFromState().
+ */
+export type QueryRow = ParseObject | {
+  className: string;
+  id: string;
+  attributes: AttributeMap;
+};
+
+/**
+ * Looks up the rows of a class, for constraints that depend on other
+ * queries ($inQuery, $notInQuery, $select and $dontSelect).
+ */
+export type RowSource = (className: string) => Array<QueryRow>;
+
+var EARTH_RADIUS_MILES = 3958.8;
+var EARTH_RADIUS_KILOMETERS = 6371.0;
+
+/**
+ * Converts attribute values and encoded query constraints into a common form
+ * that can be compared directly. Constraints are never decoded into
+ * ParseObjects, since doing so would touch the object state - this runs
+ * inside reducers.
+ */
+function normalize(value: mixed): mixed {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (value instanceof ParseObject) {
+    return 'Pointer:' + value.className + ':' + value.id;
+  }
+  if (value instanceof ParseGeoPoint) {
+    return {
+      __type: 'GeoPoint',
+      latitude: value.latitude,
+      longitude: value.longitude
+    };
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value && typeof value === 'object') {
+    if (value.__type === 'Date') {
+      return new Date(value.iso).getTime();
+    }
+    if (value.__type === 'Pointer' || value.__type === 'Object') {
+      return 'Pointer:' + value.className + ':' + value.objectId;
+    }
+  }
+  return value;
+}
+
+function toGeoPoint(value: mixed): ?ParseGeoPoint {
+  if (value && typeof value === 'object' && value.__type === 'GeoPoint') {
+    return new ParseGeoPoint(value.latitude, value.longitude);
+  }
+  return null;
+}
+
+/**
+ * Converts a $regex constraint into a RegExp. Sections quoted with \Q..\E,
+ * as generated by contains(), startsWith() and endsWith(), are escaped.
+ */
+function toRegExp(pattern: string, options: ?string): RegExp {
+  var source = pattern.replace(/\\Q([\s\S]*?)(?:\\E|$)/g, (match, literal) => {
+    return literal.replace(/[-[\]\/{}()*+?.\\^$|]/g, '\\$&');
+  });
+  var flags = (options || '').replace(/[^im]/g, '');
+  return new RegExp(source, flags);
+}
+
+function equalValues(a: mixed, b: mixed): boolean {
+  if (a === b) {
+    return true;
+  }
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') {
+    return false;
+  }
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function compareValues(a: mixed, b: mixed): ?number {
+  if (typeof a !== typeof b || (typeof a !== 'number' && typeof a !== 'string')) {
+    return null;
+  }
+  if (a < b) {
+    return -1;
+  }
+  if (a > b) {
+    return 1;
+  }
+  return 0;
+}
+
+// Like the server, an equality constraint on an array attribute matches if
+// the array contains the value
+function matchesEquality(value: mixed, constraint: mixed): boolean {
+  if (Array.isArray(value) && !Array.isArray(constraint)) {
+    return value.some((item) => equalValues(item, constraint));
+  }
+  return equalValues(value, constraint);
+}
+
+function matchesComparison(value: mixed, constraint: mixed, test: (order: number) => boolean): boolean {
+  if (Array.isArray(value)) {
+    return value.some((item) => matchesComparison(item, constraint, test));
+  }
+  var order = compareValues(value, constraint);
+  return order !== null && test(order);
+}
+
+function getValue(row: QueryRow, key: string): mixed {
+  var path = key.split('.');
+  var value;
+  if (path[0] === 'objectId') {
+    value = row.id;
+  } else if (typeof row.get === 'function') {
+    value = row.get(path[0]);
+  } else {
+    value = row.attributes[path[0]];
+  }
+  for (var i = 1; i < path.length; i++) {
+    if (!value || typeof value !== 'object') {
+      return undefined;
+    }
+    value = value[path[i]];
+  }
+  return value;
+}
+
+function getSubqueryRows(query: QueryJSON, getRows: ?RowSource): Array<QueryRow> {
+  if (!getRows) {
+    throw new Error('Queries on other classes need a source of objects');
+  }
+  return runQuery(getRows(query.className), query, getRows);
+}
+
+function pointerTo(row: QueryRow): string {
+  return 'Pointer:' + row.className + ':' + row.id;
+}
+
+var operators = {
+  $ne(value, constraint) {
+    return !matchesEquality(value, constraint);
+  },
+  $lt(value, constraint) {
+    return matchesComparison(value, constraint, (order) => order < 0);
+  },
+  $lte(value, constraint) {
+    return matchesComparison(value, constraint, (order) => order <= 0);
+  },
+  $gt(value, constraint) {
+    return matchesComparison(value, constraint, (order) => order > 0);
+  },
+  $gte(value, constraint) {
+    return matchesComparison(value, constraint, (order) => order >= 0);
+  },
+  $in(value, constraint) {
+    return constraint.some((item) => matchesEquality(value, item));
+  },
+  $nin(value, constraint) {
+    return !constraint.some((item) => matchesEquality(value, item));
+  },
+  $all(value, constraint) {
+    if (!Array.isArray(value)) {
+      return false;
+    }
+    return constraint.every((item) => value.some((v) => equalValues(v, item)));
+  },
+  $exists(value, constraint) {
+    return (typeof value !== 'undefined' && value !== null) === !!constraint;
+  },
+  $regex(value, constraint, all) {
+    if (typeof value !== 'string') {
+      return false;
+    }
+    return toRegExp(constraint, all.$options).test(value);
+  },
+  $options() {
+    // Applied by $regex
+    return true;
+  },
+  $nearSphere(value, constraint, all) {
+    var point = toGeoPoint(value);
+    var center = toGeoPoint(constraint);
+    if (!point || !center) {
+      return false;
+    }
+    var distance = point.radiansTo(center);
+    if (all.hasOwnProperty('$maxDistance')) {
+      return distance <= all.$maxDistance;
+    }
+    if (all.hasOwnProperty('$maxDistanceInRadians')) {
+      return distance <= all.$maxDistanceInRadians;
+    }
+    if (all.hasOwnProperty('$maxDistanceInMiles')) {
+      return distance * EARTH_RADIUS_MILES <= all.$maxDistanceInMiles;
+    }
+    if (all.hasOwnProperty('$maxDistanceInKilometers')) {
+      return distance * EARTH_RADIUS_KILOMETERS <= all.$maxDistanceInKilometers;
+    }
+    return true;
+  },
+  $maxDistance() {
+    // Applied by $nearSphere
+    return true;
+  },
+  $maxDistanceInRadians() {
+    return true;
+  },
+  $maxDistanceInMiles() {
+    return true;
+  },
+  $maxDistanceInKilometers() {
+    return true;
+  },
+  $within(value, constraint) {
+    var point = toGeoPoint(value);
+    if (!point || !constraint.$box) {
+      return false;
+    }
+    var southwest = toGeoPoint(constraint.$box[0]);
+    var northeast = toGeoPoint(constraint.$box[1]);
+    return (
+      point.latitude >= southwest.latitude &&
+      point.latitude <= northeast.latitude &&
+      point.longitude >= southwest.longitude &&
+      point.longitude <= northeast.longitude
+    );
+  }
+};
+
+// Operators whose constraints are queries, rather than values
+var subqueryOperators = {
+  $inQuery(value, constraint, getRows) {
+    var pointers = getSubqueryRows(constraint, getRows).map(pointerTo);
+    return pointers.some((pointer) => matchesEquality(value, pointer));
+  },
+  $notInQuery(value, constraint, getRows) {
+    return !subqueryOperators.$inQuery(value, constraint, getRows);
+  },
+  $select(value, constraint, getRows) {
+    var rows = getSubqueryRows(constraint.query, getRows);
+    return rows.some((row) => {
+      return matchesEquality(value, normalize(getValue(row, constraint.key)));
+    });
+  },
+  $dontSelect(value, constraint, getRows) {
+    return !subqueryOperators.$select(value, constraint, getRows);
+  }
+};
+
+function isOperatorObject(constraint: mixed): boolean {
+  if (!constraint || typeof constraint !== 'object' || Array.isArray(constraint)) {
+    return false;
+  }
+  var keys = Object.keys(constraint);
+  return keys.length > 0 && keys.every((key) => key[0] === '$');
+}
+
+function matchesKey(row: QueryRow, key: string, constraint: mixed, getRows: ?RowSource): boolean {
+  var value = normalize(getValue(row, key));
+  if (!isOperatorObject(constraint)) {
+    return matchesEquality(value, normalize(constraint));
+  }
+  var normalized = {};
+  for (var op in constraint) {
+    normalized[op] = subqueryOperators[op] ? constraint[op] : normalize(constraint[op]);
+  }
+  for (op in normalized) {
+    var matches;
+    if (subqueryOperators[op]) {
+      matches = subqueryOperators[op](value, normalized[op], getRows);
+    } else if (operators[op]) {
+      matches = operators[op](value, normalized[op], normalized);
+    } else {
+      throw new Error('Unsupported query operator: ' + op);
+    }
+    if (!matches) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Returns true if the row satisfies the where clause of a query, as
+ * produced by ParseQuery.toJSON(). getRows is needed to evaluate constraints
+ * that depend on the results of other queries.
+ */
+export default function matchesQuery(row: QueryRow, where: WhereClause, getRows?: RowSource): boolean {
+  for (var key in where) {
+    var matches;
+    if (key === '$or') {
+      matches = where.$or.some((clause) => matchesQuery(row, clause, getRows));
+    } else if (key === '$and') {
+      matches = where.$and.every((clause) => matchesQuery(row, clause, getRows));
+    } else if (key[0] === '$') {
+      throw new Error('Unsupported query operator: ' + key);
+    } else {
+      matches = matchesKey(row, key, where[key], getRows);
+    }
+    if (!matches) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Compares two rows by a sort order such as ['-score', 'createdAt'], for
+ * use with Array.prototype.sort.
+ */
+export function compareObjects(a: QueryRow, b: QueryRow, order: Array<string>): number {
+  for (var i = 0; i < order.length; i++) {
+    var key = order[i];
+    var descending = key[0] === '-';
+    if (descending) {
+      key = key.substr(1);
+    }
+    var result = compareValues(
+      normalize(getValue(a, key)),
+      normalize(getValue(b, key))
+    );
+    if (result) {
+      return descending ? -result : result;
+    }
+  }
+  return 0;
+}
+
+// Without an explicit order, the server sorts $nearSphere results by distance
+function nearestOrder(where: WhereClause): ?(a: QueryRow, b: QueryRow) => number {
+  for (var key in where) {
+    var constraint = where[key];
+    if (isOperatorObject(constraint) && constraint.$nearSphere) {
+      var center = toGeoPoint(constraint.$nearSphere);
+      var distance = (row) => {
+        var point = toGeoPoint(normalize(getValue(row, key)));
+        return point ? point.radiansTo(center) : Infinity;
+      };
+      return (a, b) => distance(a) - distance(b);
+    }
+  }
+  return null;
+}
+
+/**
+ * Evaluates a query, as produced by ParseQuery.toJSON(), against a list of
+ * rows, applying its where clause, order, skip and limit. The rows
+ * themselves are returned, so keys has no effect.
+ */
+export function runQuery(rows: Array<QueryRow>, query: QueryJSON, getRows?: RowSource): Array<QueryRow> {
+  var where = query.where || {};
+  var results = rows.filter((row) => matchesQuery(row, where, getRows));
+
+  var compare;
+  if (query.order) {
+    var order = query.order.split(',');
+    compare = (a, b) => compareObjects(a, b, order);
+  } else {
+    compare = nearestOrder(where);
+  }
+  if (compare) {
+    // keep the sort stable, so equal rows stay in their original order
+    results = results.map((row, index) => ({ row, index })).sort((a, b) => {
+      return compare(a.row, b.row) || a.index - b.index;
+    }).map(({ row }) => row);
+  }
+
+  var skip = query.skip || 0;
+  var end = typeof query.limit === 'number' && query.limit >= 0 ? skip + query.limit : undefined;
+  return results.slice(skip, end);
+}
+
+/**
+ * Builds query rows for every object of a class in the Object slice of the
+ * Redux state. Only objects known to exist on the server are included.
+ */
+export function objectsFromState(objectState: { [className: string]: mixed }, className: string): Array<QueryRow> {
+  var classState = objectState[className] || {};
+  var rows = [];
+  for (var id in classState) {
+    var state = classState[id];
+    if (!state.serverData.createdAt || (state.status && state.status.destroyedAt)) {
+      continue;
+    }
+    rows.push({
+      className,
+      id,
+      attributes: estimateStateAttributes(state, className, id)
+    });
+  }
+  return rows;
+}